@@ -5,6 +5,16 @@ class LangfuseClient {
     this.api = {
       ingestion: {
         batch: jest.fn().mockResolvedValue({})
+      },
+      health: {
+        health: jest.fn().mockResolvedValue({ status: 'OK', version: '3.0.0' })
+      },
+      trace: {
+        get: jest.fn().mockResolvedValue({ id: 'trace-1' }),
+        delete: jest.fn().mockResolvedValue({})
+      },
+      projects: {
+        get: jest.fn().mockResolvedValue({ data: [{ id: 'project-1', name: 'test-project' }] })
       }
     };
   }
@@ -0,0 +1,46 @@
+const { BATCH_DEFAULTS, splitBatch, eventBytes } = require('../lib/batch');
+
+describe('splitBatch', () => {
+  const event = (id, size = 0) => ({ id, body: { output: 'x'.repeat(size) } });
+
+  test('keeps a small batch whole', () => {
+    const events = [event('e1'), event('e2')];
+
+    expect(splitBatch(events)).toEqual([events]);
+  });
+
+  test('returns no batches for no events', () => {
+    expect(splitBatch([])).toEqual([]);
+  });
+
+  test('splits on the event count', () => {
+    const events = Array.from({ length: 250 }, (_, i) => event(`e${i}`));
+
+    const batches = splitBatch(events, { maxEvents: 100 });
+
+    expect(batches.map(batch => batch.length)).toEqual([100, 100, 50]);
+    expect(batches.flat()).toEqual(events);
+  });
+
+  test('splits on the size of the event JSON', () => {
+    const events = [event('e1', 400), event('e2', 400), event('e3', 400)];
+    const maxBytes = eventBytes(events[0]) * 2;
+
+    const batches = splitBatch(events, { maxEvents: 100, maxBytes });
+
+    expect(batches.map(batch => batch.map(e => e.id))).toEqual([['e1', 'e2'], ['e3']]);
+  });
+
+  test('sends an event larger than the limit on its own', () => {
+    const events = [event('small'), event('huge', 5000), event('after')];
+
+    const batches = splitBatch(events, { maxEvents: 100, maxBytes: 1000 });
+
+    expect(batches.map(batch => batch.map(e => e.id))).toEqual([['small'], ['huge'], ['after']]);
+  });
+
+  test('defaults to 100 events and 3 MB', () => {
+    expect(BATCH_DEFAULTS).toMatchObject({ maxEvents: 100, maxBytes: 3 * 1024 * 1024 });
+    expect(splitBatch(Array.from({ length: 101 }, (_, i) => event(`e${i}`)))).toHaveLength(2);
+  });
+});
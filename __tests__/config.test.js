@@ -0,0 +1,492 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  validateConfig,
+  resolveProfile,
+  listProfiles,
+  describeChanges,
+  flattenConfig,
+  getConfigValue,
+  setConfigValue,
+  unsetConfigValue,
+  formatConfigValue,
+  readConfigFile,
+  writeConfigFile,
+  parseDotenv,
+  resolveConfig
+} = require('../lib/config');
+
+describe('validateConfig', () => {
+  const valid = { host: 'http://localhost:3001', publicKey: 'pk-lf-1', secretKey: 'sk-lf-1' };
+
+  test('accepts a complete config', () => {
+    expect(validateConfig({
+      ...valid,
+      userId: 'dev',
+      projects: { include: ['~/work/**'], exclude: [] },
+      memory: { idleMinutes: 5 },
+      batch: { maxEvents: 50 },
+      shutdownTimeoutSeconds: 5,
+      redaction: { disable: ['email'], rules: [{ name: 'ticket', pattern: 'ACME-\\d+' }] },
+      pricing: { 'claude-opus-4-6': { input: 5, output: 25 } },
+      otlp: { endpoint: 'http://localhost:4318', headers: { 'x-api-key': 'abc' } }
+    })).toEqual([]);
+  });
+
+  test('accepts disabled redaction and pricing', () => {
+    expect(validateConfig({ ...valid, redaction: false, pricing: false })).toEqual([]);
+  });
+
+  test('checks log settings', () => {
+    expect(validateConfig({ ...valid, log: { level: 'info', format: 'json', file: '~/monitor.log', maxAgeDays: 3 } })).toEqual([]);
+    expect(validateConfig({ ...valid, log: { level: 'verbose', format: 'xml', maxBytes: 0 } })).toEqual([
+      'log.level must be one of: error, warn, info, debug',
+      'log.format must be one of: pretty, json',
+      'log.maxBytes must be a positive number'
+    ]);
+  });
+
+  test('checks the key format', () => {
+    expect(validateConfig({ ...valid, publicKey: 'sk-lf-1', secretKey: 'pk-lf-1' })).toEqual([
+      'publicKey must start with pk-lf-',
+      'secretKey must start with sk-lf-'
+    ]);
+  });
+
+  test('checks redaction, pricing and sink settings', () => {
+    expect(validateConfig({
+      ...valid,
+      redaction: { disable: ['emails'], rules: [{ name: 'bad', pattern: '(' }] },
+      pricing: { 'claude-opus-4-6': { input: 'cheap' } },
+      otlp: { endpoint: 'localhost:4318', headers: { 'x-api-key': 1 } },
+      file: 'events'
+    })).toEqual([
+      'redaction.disable has unknown detector names: emails',
+      expect.stringContaining('redaction.rules has an invalid redaction rule "bad"'),
+      'pricing.claude-opus-4-6.input must be a number of at least 0',
+      'otlp.endpoint must be an http(s) URL',
+      'otlp.headers must be an object of header names to strings',
+      'file must be an object'
+    ]);
+  });
+
+  test('ignores unknown keys', () => {
+    expect(validateConfig({ ...valid, comment: 'work laptop' })).toEqual([]);
+  });
+
+  test('rejects anything but an object', () => {
+    expect(validateConfig(null)).toEqual(['config must be a JSON object']);
+    expect(validateConfig([])).toEqual(['config must be a JSON object']);
+  });
+
+  test('requires Langfuse credentials and an http(s) host', () => {
+    expect(validateConfig({ host: 'localhost:3001' })).toEqual([
+      'host must be an http(s) URL',
+      'publicKey is required',
+      'secretKey is required'
+    ]);
+  });
+
+  test('skips credentials when they are not required', () => {
+    expect(validateConfig({}, { requireCredentials: false })).toEqual([]);
+  });
+
+  test('skips credentials for other sinks', () => {
+    expect(validateConfig({ sink: 'file' })).toEqual([]);
+  });
+
+  test('rejects unknown sinks', () => {
+    expect(validateConfig({ sink: 'kafka' })[0]).toMatch(/^sink must be one of: langfuse/);
+  });
+
+  test('checks field types', () => {
+    expect(validateConfig({
+      ...valid,
+      userId: 42,
+      projects: { include: 'app', exclude: [1] },
+      memory: { idleMinutes: -1 },
+      batch: 'big',
+      shutdownTimeoutSeconds: 0
+    })).toEqual([
+      'userId must be a string',
+      'projects.include must be a list of globs',
+      'projects.exclude must be a list of globs',
+      'memory.idleMinutes must be a number of at least 0',
+      'batch must be an object',
+      'shutdownTimeoutSeconds must be a positive number'
+    ]);
+  });
+});
+
+describe('profiles', () => {
+  const config = {
+    host: 'http://localhost:3001',
+    publicKey: 'pk-lf-home',
+    secretKey: 'sk-lf-home',
+    userId: 'me@home.dev',
+    batch: { maxEvents: 50 },
+    profiles: {
+      work: { host: 'https://langfuse.acme.com', publicKey: 'pk-lf-work', secretKey: 'sk-lf-work', userId: 'me@acme.com' },
+      archive: { sink: 'file', file: { dir: '/tmp/archive' } }
+    },
+    routes: [
+      { match: '/Users/me/work/**', profile: 'work' },
+      { match: '/Users/me/old/**', profile: 'archive' }
+    ]
+  };
+
+  test('accepts profiles and routes', () => {
+    expect(validateConfig(config)).toEqual([]);
+  });
+
+  test('checks profile settings like top-level ones', () => {
+    expect(validateConfig({
+      ...config,
+      profiles: { work: { host: 'langfuse.acme.com', publicKey: 'pk-lf-work', otlp: { endpoint: 'collector' } } }
+    })).toEqual([
+      'profiles.work.host must be an http(s) URL',
+      'profiles.work.otlp.endpoint must be an http(s) URL',
+      'routes: no profile named "archive"',
+      'profiles.work.secretKey is required'
+    ]);
+  });
+
+  test('checks routes', () => {
+    expect(validateConfig({ ...config, routes: [{ match: '/Users/me/**' }] })).toEqual([
+      'routes must be a list of { match, profile } objects'
+    ]);
+    expect(validateConfig({ ...config, routes: [{ match: '/Users/me/**', profile: 'default' }] })).toEqual([]);
+  });
+
+  test('reserves the default profile name', () => {
+    expect(validateConfig({ ...config, profiles: { ...config.profiles, default: { sink: 'file' } } })).toEqual([
+      'profiles.default is reserved for the top-level settings'
+    ]);
+  });
+
+  test('resolves a profile over the top-level settings', () => {
+    expect(resolveProfile(config, 'default')).toBe(config);
+    expect(resolveProfile(config, 'work')).toMatchObject({
+      host: 'https://langfuse.acme.com',
+      publicKey: 'pk-lf-work',
+      userId: 'me@acme.com',
+      batch: { maxEvents: 50 }
+    });
+  });
+
+  test('never gives a profile the top-level destination', () => {
+    const archive = resolveProfile(config, 'archive');
+
+    expect(archive).toMatchObject({ sink: 'file', file: { dir: '/tmp/archive' }, userId: 'me@home.dev' });
+    expect(archive.host).toBeUndefined();
+    expect(archive.secretKey).toBeUndefined();
+    expect(() => resolveProfile(config, 'personal')).toThrow('No profile named "personal" in config.json');
+  });
+
+  test('lists the default destination first', () => {
+    expect(listProfiles(config)).toEqual(['default', 'work', 'archive']);
+    expect(listProfiles({})).toEqual(['default']);
+  });
+
+  test('sets and masks profile keys', () => {
+    const next = setConfigValue({}, 'profiles.work.secretKey', ['sk-lf-0123456789abcdef']);
+
+    expect(next).toEqual({ profiles: { work: { secretKey: 'sk-lf-0123456789abcdef' } } });
+    expect(flattenConfig(next)).toEqual([['profiles.work.secretKey', 'sk-lf-0123456789abcdef']]);
+    expect(formatConfigValue('profiles.work.secretKey', 'sk-lf-0123456789abcdef')).toBe('sk-lf-…cdef');
+    expect(() => setConfigValue({}, 'profiles.work.memory.maxMb', ['100'])).toThrow('Unknown config key: profiles.work.memory.maxMb');
+  });
+
+  test('masks the secrets inside a profile or section', () => {
+    const config = {
+      otlp: { headers: { Authorization: 'Bearer supersecrettoken123' } },
+      profiles: {
+        personal: {
+          host: 'https://cloud.langfuse.com',
+          secretKey: 'sk-lf-personalsecret99',
+          otlp: { headers: { Authorization: 'Bearer supersecrettoken123' } }
+        }
+      }
+    };
+    const get = key => formatConfigValue(key, getConfigValue(config, key));
+
+    expect(get('profiles.personal')).toBe(JSON.stringify({
+      host: 'https://cloud.langfuse.com',
+      secretKey: 'sk-lf-…et99',
+      otlp: { headers: { Authorization: 'Bearer…n123' } }
+    }));
+    expect(get('profiles')).not.toContain('personalsecret');
+    expect(get('otlp')).not.toContain('supersecret');
+  });
+});
+
+describe('secret sources', () => {
+  test('allow only one way to give the secret key', () => {
+    expect(validateConfig({ secretKey: 'sk-lf-1', secretKeyCommand: 'pass langfuse' }, { requireCredentials: false })).toEqual([
+      'set only one of secretKey, secretKeyCommand'
+    ]);
+    expect(validateConfig({ profiles: { work: { secretKeyFile: '/a', secretKeyCommand: 'b' } } }, { requireCredentials: false })).toEqual([
+      'set only one of profiles.work.secretKeyFile, profiles.work.secretKeyCommand'
+    ]);
+  });
+});
+
+describe('parseDotenv', () => {
+  test('reads KEY=value lines', () => {
+    expect(parseDotenv([
+      '# Langfuse',
+      'export LANGFUSE_BASE_URL="https://cloud.langfuse.com"',
+      'LANGFUSE_PUBLIC_KEY = pk-lf-1  # work project',
+      "LANGFUSE_SECRET_KEY='sk-lf-1 # not a comment'",
+      'not a variable',
+      ''
+    ].join('\n'))).toEqual({
+      LANGFUSE_BASE_URL: 'https://cloud.langfuse.com',
+      LANGFUSE_PUBLIC_KEY: 'pk-lf-1',
+      LANGFUSE_SECRET_KEY: 'sk-lf-1 # not a comment'
+    });
+  });
+});
+
+describe('resolveConfig', () => {
+  let dir;
+  let configFile;
+  let dotenvFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-resolve-'));
+    configFile = path.join(dir, 'config.json');
+    dotenvFile = path.join(dir, '.env');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const resolve = (options = {}) => resolveConfig({ env: {}, configFile, dotenvFile, ...options });
+
+  test('overrides log settings one key at a time', () => {
+    writeConfigFile({ log: { level: 'warn', file: '/var/log/monitor.log', maxFiles: 3 } }, configFile);
+
+    const { config, sources } = resolve({
+      env: { CLAUDE_LANGFUSE_LOG_LEVEL: 'debug', CLAUDE_LANGFUSE_LOG_FILE: '/tmp/monitor.log' },
+      flags: { log: { format: 'json' } }
+    });
+
+    expect(config.log).toEqual({ level: 'debug', file: '/tmp/monitor.log', maxFiles: 3, format: 'json' });
+    expect(sources).toMatchObject({
+      'log.level': 'env CLAUDE_LANGFUSE_LOG_LEVEL',
+      'log.file': 'env CLAUDE_LANGFUSE_LOG_FILE',
+      'log.maxFiles': 'config.json',
+      'log.format': 'flag'
+    });
+  });
+
+  test('starts from the defaults', () => {
+    expect(resolve()).toEqual({ config: { host: 'http://localhost:3001' }, sources: { host: 'default' } });
+  });
+
+  test('layers config.json, .env, the environment and flags', () => {
+    writeConfigFile({ host: 'http://file:3001', publicKey: 'pk-lf-file', userId: 'file-user', batch: { maxEvents: 5 } }, configFile);
+    fs.writeFileSync(dotenvFile, 'LANGFUSE_HOST=http://dotenv:3001\nLANGFUSE_PUBLIC_KEY=pk-lf-dotenv\n');
+
+    const { config, sources } = resolve({
+      env: { LANGFUSE_PUBLIC_KEY: 'pk-lf-env' },
+      flags: { userId: 'flag-user', host: undefined }
+    });
+
+    expect(config).toEqual({
+      host: 'http://dotenv:3001',
+      publicKey: 'pk-lf-env',
+      userId: 'flag-user',
+      batch: { maxEvents: 5 }
+    });
+    expect(sources).toEqual({
+      host: '.env LANGFUSE_HOST',
+      publicKey: 'env LANGFUSE_PUBLIC_KEY',
+      userId: 'flag',
+      'batch.maxEvents': 'config.json'
+    });
+  });
+
+  test('prefers LANGFUSE_BASE_URL to LANGFUSE_HOST', () => {
+    const { config, sources } = resolve({ env: { LANGFUSE_HOST: 'http://old:3001', LANGFUSE_BASE_URL: 'http://new:3001' } });
+
+    expect(config.host).toBe('http://new:3001');
+    expect(sources.host).toBe('env LANGFUSE_BASE_URL');
+  });
+
+  test('reads the secret key from a file', () => {
+    const secretFile = path.join(dir, 'secret');
+    fs.writeFileSync(secretFile, 'sk-lf-from-file\n');
+    writeConfigFile({ secretKeyFile: secretFile }, configFile);
+
+    const { config, sources } = resolve();
+
+    expect(config.secretKey).toBe('sk-lf-from-file');
+    expect(config.secretKeyFile).toBeUndefined();
+    expect(sources.secretKey).toBe('config.json (secretKeyFile)');
+  });
+
+  test('reads the secret key from a command, for profiles too', () => {
+    writeConfigFile({ profiles: { work: { secretKeyCommand: 'echo sk-lf-from-command' } } }, configFile);
+
+    const { config, sources } = resolve();
+
+    expect(config.profiles.work).toEqual({ secretKey: 'sk-lf-from-command' });
+    expect(sources['profiles.work.secretKey']).toBe('config.json (secretKeyCommand)');
+  });
+
+  test('lets a secret key in a later layer replace a secret source', () => {
+    writeConfigFile({ secretKeyCommand: 'exit 1' }, configFile);
+
+    const { config, sources } = resolve({ env: { LANGFUSE_SECRET_KEY: 'sk-lf-env' } });
+
+    expect(config.secretKey).toBe('sk-lf-env');
+    expect(sources.secretKey).toBe('env LANGFUSE_SECRET_KEY');
+  });
+
+  test('reports a failing secret command', () => {
+    writeConfigFile({ secretKeyCommand: 'echo locked >&2; exit 1' }, configFile);
+
+    expect(() => resolve()).toThrow('secretKeyCommand failed: locked');
+  });
+
+  test('reports a missing secret file', () => {
+    expect(() => resolve({ env: { LANGFUSE_SECRET_KEY_FILE: path.join(dir, 'missing') } })).toThrow(/^Could not read secretKeyFile: ENOENT/);
+  });
+});
+
+describe('describeChanges', () => {
+  test('lists changed values in key order', () => {
+    expect(describeChanges(
+      { host: 'http://a', userId: 'dev' },
+      { host: 'http://b', redaction: false }
+    )).toEqual([
+      'host: "http://a" → "http://b"',
+      'redaction: (unset) → false',
+      'userId: "dev" → (unset)'
+    ]);
+  });
+
+  test('does not print secrets or whole sections', () => {
+    expect(describeChanges(
+      { secretKey: 'sk-old', projects: { exclude: [] } },
+      { secretKey: 'sk-new', projects: { exclude: ['~/client/**'] } }
+    )).toEqual(['projects changed', 'secretKey changed']);
+  });
+
+  test('returns nothing for equal configs', () => {
+    expect(describeChanges({ batch: { flushAt: 5 } }, { batch: { flushAt: 5 } })).toEqual([]);
+  });
+});
+
+describe('editing config values', () => {
+  const config = {
+    host: 'http://localhost:3001',
+    secretKey: 'sk-lf-0123456789abcdef',
+    projects: { exclude: ['~/client/**'] }
+  };
+
+  test('flattens to dotted keys in file order', () => {
+    expect(flattenConfig({ ...config, otlp: { headers: { a: 'b' } }, pricing: { 'claude-opus-4': { input: 1 } } })).toEqual([
+      ['host', 'http://localhost:3001'],
+      ['secretKey', 'sk-lf-0123456789abcdef'],
+      ['projects.exclude', ['~/client/**']],
+      ['otlp.headers', { a: 'b' }],
+      ['pricing.claude-opus-4.input', 1]
+    ]);
+  });
+
+  test('gets dotted keys', () => {
+    expect(getConfigValue(config, 'projects.exclude')).toEqual(['~/client/**']);
+    expect(getConfigValue(config, 'projects.include')).toBeUndefined();
+    expect(getConfigValue(config, 'host.name')).toBeUndefined();
+  });
+
+  test('sets a key without touching the others', () => {
+    const next = setConfigValue(config, 'userId', ['dev']);
+
+    expect(next).toEqual({ ...config, userId: 'dev' });
+    expect(config.userId).toBeUndefined();
+  });
+
+  test('parses values by type', () => {
+    expect(setConfigValue({}, 'batch.maxEvents', ['50']).batch).toEqual({ maxEvents: 50 });
+    expect(setConfigValue({}, 'redaction.enabled', ['false']).redaction).toEqual({ enabled: false });
+    expect(setConfigValue({}, 'redaction', ['false']).redaction).toBe(false);
+    expect(setConfigValue({}, 'projects.include', ['~/work/**', '~/oss/**']).projects).toEqual({ include: ['~/work/**', '~/oss/**'] });
+    expect(setConfigValue({}, 'projects.include', ['["~/work/{a,b}/**"]']).projects).toEqual({ include: ['~/work/{a,b}/**'] });
+    expect(setConfigValue({}, 'pricing.claude-opus-4', ['{"input":15}']).pricing).toEqual({ 'claude-opus-4': { input: 15 } });
+  });
+
+  test('rejects unknown keys and invalid values', () => {
+    expect(() => setConfigValue(config, 'hots', ['x'])).toThrow('Unknown config key: hots');
+    expect(() => setConfigValue(config, 'host', ['localhost'])).toThrow('host must be an http(s) URL');
+    expect(() => setConfigValue(config, 'batch.maxEvents', ['many'])).toThrow('batch.maxEvents must be a positive number');
+    expect(() => setConfigValue(config, 'userId', ['a', 'b'])).toThrow('userId takes a single value');
+    expect(() => setConfigValue(config, 'otlp.headers', ['{'])).toThrow(/^otlp.headers must be given as JSON/);
+  });
+
+  test('unsets a key and drops the sections it empties', () => {
+    expect(unsetConfigValue(config, 'projects.exclude')).toEqual({
+      host: 'http://localhost:3001',
+      secretKey: 'sk-lf-0123456789abcdef'
+    });
+    expect(() => unsetConfigValue(config, 'userId')).toThrow('userId is not set');
+  });
+
+  test('masks secrets when formatting', () => {
+    expect(formatConfigValue('secretKey', config.secretKey)).toBe('sk-lf-…cdef');
+    expect(formatConfigValue('host', config.host)).toBe('http://localhost:3001');
+    expect(formatConfigValue('projects.exclude', ['~/client/**'])).toBe('["~/client/**"]');
+  });
+
+  test('masks each header value', () => {
+    expect(formatConfigValue('otlp.headers', { Authorization: 'Bearer supersecrettoken123', 'x-team': 'ml' }))
+      .toBe('{"Authorization":"Bearer…n123","x-team":"…"}');
+  });
+});
+
+describe('config file', () => {
+  let dir;
+  let configFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-config-'));
+    configFile = path.join(dir, '.claude-langfuse', 'config.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads a missing file as empty', () => {
+    expect(readConfigFile(configFile)).toEqual({});
+  });
+
+  test('writes a file only the owner can read', () => {
+    writeConfigFile({ host: 'http://localhost:3001' }, configFile);
+
+    expect(readConfigFile(configFile)).toEqual({ host: 'http://localhost:3001' });
+    expect(fs.statSync(configFile).mode & 0o777).toBe(0o600);
+  });
+
+  test('tightens the permissions of an existing file', () => {
+    fs.mkdirSync(path.dirname(configFile));
+    fs.writeFileSync(configFile, '{}', { mode: 0o644 });
+
+    writeConfigFile({ userId: 'dev' }, configFile);
+
+    expect(fs.statSync(configFile).mode & 0o777).toBe(0o600);
+  });
+
+  test('reports invalid JSON', () => {
+    fs.mkdirSync(path.dirname(configFile));
+    fs.writeFileSync(configFile, '{ not json');
+
+    expect(() => readConfigFile(configFile)).toThrow(`${configFile} is not valid JSON`);
+  });
+});
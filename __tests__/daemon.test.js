@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+const {
+  PidLock,
+  isAlive,
+  readLock,
+  findRunning,
+  waitForLock,
+  stopProcess,
+  readLastLines,
+  followFile
+} = require('../lib/daemon');
+
+describe('daemon', () => {
+  let tmpDir;
+  let lockFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-daemon-'));
+    lockFile = path.join(tmpDir, 'state', 'monitor.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // A pid that is certainly not running: a child that has already exited
+  const deadPid = () => new Promise((resolve) => {
+    const child = spawn(process.execPath, ['-e', '']);
+    child.on('exit', () => resolve(child.pid));
+  });
+
+  describe('PidLock', () => {
+    test('records this process and removes the lock on release', () => {
+      const lock = new PidLock(lockFile);
+
+      lock.acquire({ daemon: true });
+
+      expect(readLock(lockFile)).toMatchObject({ pid: process.pid, daemon: true, argv: process.argv.slice(1) });
+      expect(fs.statSync(lockFile).mode & 0o777).toBe(0o600);
+
+      lock.release();
+      expect(fs.existsSync(lockFile)).toBe(false);
+    });
+
+    test('refuses while another live process holds it', () => {
+      fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid }));
+
+      expect(() => new PidLock(lockFile).acquire())
+        .toThrow(`Another monitor is already running (pid ${process.ppid})`);
+      expect(readLock(lockFile).pid).toBe(process.ppid);
+    });
+
+    test('replaces a lock left behind by a process that is gone', async () => {
+      const pid = await deadPid();
+      fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+      fs.writeFileSync(lockFile, JSON.stringify({ pid }));
+
+      new PidLock(lockFile).acquire();
+
+      expect(readLock(lockFile).pid).toBe(process.pid);
+    });
+
+    test('replaces an unreadable lock', () => {
+      fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+      fs.writeFileSync(lockFile, 'garbage');
+
+      new PidLock(lockFile).acquire();
+
+      expect(readLock(lockFile).pid).toBe(process.pid);
+    });
+
+    test('release leaves a lock taken over by another process', () => {
+      const lock = new PidLock(lockFile);
+      lock.acquire();
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid }));
+
+      lock.release();
+
+      expect(readLock(lockFile).pid).toBe(process.ppid);
+    });
+  });
+
+  describe('findRunning', () => {
+    test('returns the live lock holder', () => {
+      new PidLock(lockFile).acquire();
+
+      expect(findRunning(lockFile).pid).toBe(process.pid);
+    });
+
+    test('ignores a missing or stale lock', async () => {
+      expect(findRunning(lockFile)).toBeNull();
+
+      fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: await deadPid() }));
+      expect(findRunning(lockFile)).toBeNull();
+    });
+  });
+
+  describe('waitForLock', () => {
+    const fakeChild = (pid) => Object.assign(new EventEmitter(), { pid });
+
+    test('resolves once the child holds the lock', async () => {
+      const child = fakeChild(process.pid);
+      const waiting = waitForLock(child, { file: lockFile });
+      new PidLock(lockFile).acquire();
+
+      await expect(waiting).resolves.toEqual({ started: true });
+    });
+
+    test('reports a child that exits first', async () => {
+      const child = fakeChild(12345);
+      const waiting = waitForLock(child, { file: lockFile });
+      child.emit('exit', 1);
+
+      await expect(waiting).resolves.toEqual({ started: false, code: 1 });
+    });
+
+    test('gives up after the timeout', async () => {
+      const child = fakeChild(12345);
+
+      await expect(waitForLock(child, { file: lockFile, timeoutMs: 150 }))
+        .resolves.toEqual({ started: false, code: null });
+    });
+  });
+
+  describe('stopProcess', () => {
+    test('sends SIGTERM and waits for the process to exit', async () => {
+      const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)']);
+
+      await expect(stopProcess(child.pid)).resolves.toBe(true);
+      expect(isAlive(child.pid)).toBe(false);
+    });
+
+    test('resolves false when the process outlives the timeout', async () => {
+      const child = spawn(process.execPath, ['-e', "process.on('SIGTERM', () => {}); setInterval(() => {}, 1000)"]);
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      try {
+        await expect(stopProcess(child.pid, { timeoutMs: 200 })).resolves.toBe(false);
+      } finally {
+        child.kill('SIGKILL');
+      }
+    });
+
+    test('treats a process that is already gone as stopped', async () => {
+      await expect(stopProcess(await deadPid())).resolves.toBe(true);
+    });
+  });
+
+  describe('readLastLines', () => {
+    test('returns the last lines of a file', () => {
+      const file = path.join(tmpDir, 'monitor.log');
+      fs.writeFileSync(file, 'one\ntwo\nthree\n');
+
+      expect(readLastLines(file, 2)).toEqual(['two', 'three']);
+      expect(readLastLines(file, 10)).toEqual(['one', 'two', 'three']);
+      expect(readLastLines(file, 0)).toEqual([]);
+    });
+
+    test('reads only the end of a large file, dropping its cut-off first line', () => {
+      const file = path.join(tmpDir, 'monitor.log');
+      const line = 'x'.repeat(99);
+      fs.writeFileSync(file, `${line}\n`.repeat(2000) + 'last\n');
+
+      const lines = readLastLines(file, 5000);
+
+      expect(lines[lines.length - 1]).toBe('last');
+      expect(lines.every(l => l === line || l === 'last')).toBe(true);
+      expect(lines.length).toBeLessThan(2000);
+    });
+  });
+
+  describe('followFile', () => {
+    test('passes on what is appended', async () => {
+      const file = path.join(tmpDir, 'monitor.log');
+      fs.writeFileSync(file, 'old\n');
+      const received = [];
+      const stop = followFile(file, data => received.push(data), { intervalMs: 20 });
+
+      try {
+        fs.appendFileSync(file, 'new\n');
+        const deadline = Date.now() + 5000;
+        while (received.length === 0 && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+      } finally {
+        stop();
+      }
+
+      expect(received.join('')).toBe('new\n');
+    });
+
+    test('starts over on a file replaced by rotation', async () => {
+      const file = path.join(tmpDir, 'monitor.log');
+      fs.writeFileSync(file, 'a long line from before rotation\n');
+      const received = [];
+      const stop = followFile(file, data => received.push(data), { intervalMs: 20 });
+
+      try {
+        fs.renameSync(file, `${file}.1`);
+        fs.writeFileSync(file, 'fresh\n');
+        const deadline = Date.now() + 5000;
+        while (received.length === 0 && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+      } finally {
+        stop();
+      }
+
+      expect(received.join('')).toBe('fresh\n');
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { Monitor } = require('../index');
+const { LangfuseSink } = require('../lib/sinks/langfuse');
+const { runDoctor, formatReport, hasFailures, maskSecret } = require('../lib/doctor');
+
+const PUBLIC_KEY = 'pk-lf-1234567890abcdef';
+const SECRET_KEY = 'sk-lf-fedcba0987654321';
+const NOW = Date.parse('2026-01-15T12:00:00Z');
+
+describe('doctor', () => {
+  let home;
+  let projectDir;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-doctor-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(home);
+    projectDir = path.join(home, '.claude', 'projects', '-home-me-app');
+    fs.mkdirSync(projectDir, { recursive: true });
+    writeConfig({ host: 'http://localhost:3001', publicKey: PUBLIC_KEY, secretKey: SECRET_KEY });
+
+    jest.spyOn(LangfuseSink.prototype, 'readTrace').mockResolvedValue({ id: 'trace' });
+    jest.spyOn(LangfuseSink.prototype, 'deleteTrace').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  const writeConfig = (config, mode = 0o600) => {
+    const configDir = path.join(home, '.claude-langfuse');
+    fs.mkdirSync(configDir, { recursive: true });
+    const configPath = path.join(configDir, 'config.json');
+    fs.writeFileSync(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+    fs.chmodSync(configPath, mode);
+  };
+
+  const writeTranscript = (name, entries, ageMs = 0) => {
+    const filepath = path.join(projectDir, name);
+    fs.writeFileSync(filepath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    const mtime = new Date(NOW - ageMs);
+    fs.utimesSync(filepath, mtime, mtime);
+    return filepath;
+  };
+
+  const conversation = [
+    { type: 'user', uuid: 'u1', timestamp: '2026-01-15T11:59:00Z', cwd: '/home/me/app', message: { role: 'user', content: 'Hi' } },
+    {
+      type: 'assistant',
+      uuid: 'a1',
+      timestamp: '2026-01-15T11:59:01Z',
+      message: { role: 'assistant', content: [{ type: 'text', text: 'Hello' }, { type: 'tool_use', id: 't1', name: 'Bash', input: {} }] }
+    },
+    { type: 'summary', summary: 'Greeting' }
+  ];
+
+  const run = (options = {}) => runDoctor(() => new Monitor({ exportOnly: true, quiet: true }), {
+    now: NOW,
+    readBackTimeoutMs: 50,
+    readBackIntervalMs: 10,
+    ...options
+  });
+
+  const find = (report, name) => report.checks.find(item => item.name === name);
+
+  test('passes every check on a healthy setup', async () => {
+    writeTranscript('conv.jsonl', conversation, 10 * 60 * 1000);
+
+    const report = await run();
+
+    expect(report.checks.map(item => [item.name, item.status])).toEqual([
+      ['Config file', 'ok'],
+      ['Credentials', 'ok'],
+      ['Claude projects', 'ok'],
+      ['Transcripts', 'ok'],
+      ['Transcript schema', 'ok'],
+      ['Connectivity', 'ok'],
+      ['Test trace', 'ok']
+    ]);
+    expect(hasFailures(report)).toBe(false);
+    expect(LangfuseSink.prototype.readTrace).toHaveBeenCalledWith(expect.stringMatching(/^doctor-/));
+    expect(LangfuseSink.prototype.deleteTrace).toHaveBeenCalled();
+  });
+
+  test('counts transcripts by age', async () => {
+    writeTranscript('recent.jsonl', conversation, 10 * 60 * 1000);
+    writeTranscript('today.jsonl', conversation, 5 * 3600 * 1000);
+    writeTranscript('old.jsonl', conversation, 30 * 24 * 3600 * 1000);
+
+    const report = await run({ send: false });
+
+    expect(find(report, 'Transcripts').summary).toBe('3 transcripts: 1 last hour, 1 last day, 0 last week, 1 older');
+  });
+
+  test('warns about unknown entry types and content blocks', async () => {
+    writeTranscript('conv.jsonl', [
+      ...conversation,
+      { type: 'hologram', uuid: 'x1' },
+      { type: 'assistant', uuid: 'a2', timestamp: '2026-01-15T11:59:02Z', message: { content: [{ type: 'telepathy' }] } },
+      { type: 'user', timestamp: '2026-01-15T11:59:03Z', message: { content: 'no uuid' } }
+    ]);
+    fs.appendFileSync(path.join(projectDir, 'conv.jsonl'), '{"truncated\n');
+
+    const schema = find(await run({ send: false }), 'Transcript schema');
+
+    expect(schema.status).toBe('warn');
+    expect(schema.summary).toBe('6 entries sampled from 1 transcripts - possible schema drift');
+    expect(schema.details).toEqual([
+      'entry types: user (2), assistant (2), summary (1), hologram (1)',
+      'unparseable lines: 1',
+      'unknown entry types: hologram (1)',
+      'unknown content blocks: telepathy (1)',
+      'missing fields: user.uuid (1)'
+    ]);
+  });
+
+  test('warns when the config file is readable by other users', async () => {
+    writeConfig({ host: 'http://localhost:3001', publicKey: PUBLIC_KEY, secretKey: SECRET_KEY }, 0o644);
+
+    const config = find(await run({ send: false }), 'Config file');
+
+    expect(config.status).toBe('warn');
+    expect(config.details).toContain(`readable by other users - run: chmod 600 ${path.join(home, '.claude-langfuse', 'config.json')}`);
+  });
+
+  test('stops after the config checks when the config is not valid JSON', async () => {
+    writeConfig('{ not json');
+
+    const report = await run();
+
+    expect(report.checks.map(item => [item.name, item.status])).toEqual([
+      ['Config file', 'fail'],
+      ['Monitor', 'fail']
+    ]);
+    expect(hasFailures(report)).toBe(true);
+  });
+
+  test('fails on missing credentials without contacting Langfuse', async () => {
+    writeConfig({ host: 'http://localhost:3001', publicKey: PUBLIC_KEY });
+
+    const report = await run();
+    const credentials = find(report, 'Credentials');
+
+    expect(credentials.status).toBe('fail');
+    expect(credentials.details).toContain('secret key (not set)');
+    expect(find(report, 'Connectivity')).toMatchObject({ status: 'skip', summary: 'credentials missing' });
+  });
+
+  test('fails when the test trace cannot be read back', async () => {
+    LangfuseSink.prototype.readTrace.mockRejectedValue(new Error('Not found'));
+
+    const testTrace = find(await run(), 'Test trace');
+
+    expect(testTrace.status).toBe('fail');
+    expect(testTrace.details[1]).toBe('last error: Not found');
+    expect(LangfuseSink.prototype.deleteTrace).not.toHaveBeenCalled();
+  });
+
+  test('skips the test trace with send: false', async () => {
+    const report = await run({ send: false });
+
+    expect(find(report, 'Test trace')).toMatchObject({ status: 'skip', summary: 'disabled with --no-send' });
+    expect(LangfuseSink.prototype.readTrace).not.toHaveBeenCalled();
+  });
+
+  test('only sends the test trace to sinks that cannot be read back', async () => {
+    writeConfig({ sink: 'file', file: { dir: path.join(home, 'events') } });
+
+    const report = await run();
+
+    expect(find(report, 'Credentials').status).toBe('skip');
+    expect(find(report, 'Test trace')).toMatchObject({ status: 'ok', summary: 'sent to file (read-back not supported)' });
+    expect(fs.readFileSync(path.join(home, 'events', 'events.ndjson'), 'utf8')).toContain('claude_langfuse_doctor');
+  });
+
+  test('checks the destination of every profile', async () => {
+    writeConfig({
+      host: 'http://localhost:3001',
+      publicKey: PUBLIC_KEY,
+      secretKey: SECRET_KEY,
+      profiles: {
+        archive: { sink: 'file', file: { dir: path.join(home, 'archive') } },
+        work: { host: 'http://work.example.com', publicKey: PUBLIC_KEY }
+      }
+    });
+
+    const report = await run();
+
+    expect(report.checks.slice(5).map(item => [item.name, item.status])).toEqual([
+      ['Connectivity', 'ok'],
+      ['Test trace', 'ok'],
+      ['Credentials (profile archive)', 'skip'],
+      ['Connectivity (profile archive)', 'ok'],
+      ['Test trace (profile archive)', 'ok'],
+      ['Credentials (profile work)', 'fail'],
+      ['Connectivity (profile work)', 'skip'],
+      ['Test trace (profile work)', 'skip']
+    ]);
+    expect(find(report, 'Credentials (profile work)').details).toContain('host http://work.example.com');
+    expect(fs.readFileSync(path.join(home, 'archive', 'events.ndjson'), 'utf8')).toContain('claude_langfuse_doctor');
+    expect(hasFailures(report)).toBe(true);
+  });
+
+  test('formats a report without secrets', async () => {
+    writeTranscript('conv.jsonl', conversation);
+
+    const text = formatReport(await run({ send: false }));
+
+    expect(text).toContain('Claude Langfuse Monitor - doctor report');
+    expect(text).toContain('[OK]   Credentials: keys configured');
+    expect(text).toContain('public key pk-lf-…cdef');
+    expect(text).toContain('Summary: 6 ok, 0 warn, 0 fail, 1 skip');
+    expect(text).not.toContain(SECRET_KEY);
+    expect(text).not.toContain(PUBLIC_KEY);
+  });
+
+  test('masks secrets', () => {
+    expect(maskSecret(SECRET_KEY)).toBe('sk-lf-…4321');
+    expect(maskSecret('short')).toBe('…');
+    expect(maskSecret('')).toBe('(not set)');
+  });
+});
@@ -0,0 +1,96 @@
+const { parseTime, filterByTime, toNdjson, toCsv, formatEvents } = require('../lib/export');
+
+describe('parseTime', () => {
+  const now = Date.parse('2025-01-08T12:00:00Z');
+
+  test.each([
+    ['30m', '2025-01-08T11:30:00.000Z'],
+    ['12h', '2025-01-08T00:00:00.000Z'],
+    ['7d', '2025-01-01T12:00:00.000Z'],
+    ['1w', '2025-01-01T12:00:00.000Z'],
+    ['2025-01-02', '2025-01-02T00:00:00.000Z']
+  ])('%s', (value, expected) => {
+    expect(parseTime(value, now).toISOString()).toBe(expected);
+  });
+
+  test('rejects anything else', () => {
+    expect(() => parseTime('last week')).toThrow('Invalid time "last week" (use an ISO date or a duration like 7d)');
+  });
+});
+
+describe('export formats', () => {
+  const trace = (id, timestamp) => ({
+    type: 'trace-create',
+    id: `e-${id}`,
+    timestamp,
+    body: { id, name: 'claude_code_user', sessionId: 's1', userId: 'me', input: 'Say "hi", then stop', timestamp, metadata: { project: '/code/app', conversationId: 'c1' } }
+  });
+  const generation = (id, traceId, startTime) => ({
+    type: 'generation-create',
+    id: `e-${id}`,
+    timestamp: startTime,
+    body: {
+      id,
+      traceId,
+      name: 'claude_response',
+      model: 'claude-sonnet-4-5',
+      output: 'hi',
+      usageDetails: { input: 10, output: 2, total: 12 },
+      costDetails: { total: 0.5 },
+      startTime,
+      endTime: startTime,
+      metadata: { project: '/code/app', conversationId: 'c1' }
+    }
+  });
+  const agentDone = { type: 'span-update', id: 'e-done', timestamp: '2025-01-02T00:00:09Z', body: { id: 'agent-1', output: 'done', endTime: '2025-01-02T00:00:09Z' } };
+  const agent = {
+    type: 'span-create',
+    id: 'e-agent',
+    timestamp: '2025-01-02T00:00:05Z',
+    body: { id: 'agent-1', traceId: 'turn-2', type: 'agent', name: 'claude_subagent', startTime: '2025-01-02T00:00:05Z' }
+  };
+
+  const events = [
+    trace('turn-1', '2025-01-01T00:00:00Z'),
+    generation('gen-1', 'turn-1', '2025-01-01T00:00:01Z'),
+    trace('turn-2', '2025-01-02T00:00:00Z'),
+    generation('gen-2', 'turn-2', '2025-01-02T00:00:01Z'),
+    agent,
+    agentDone
+  ];
+
+  test('filterByTime keeps whole turns that started in the window', () => {
+    const kept = filterByTime(events, { since: new Date('2025-01-01T12:00:00Z') });
+
+    expect(kept.map(e => e.body.id)).toEqual(['turn-2', 'gen-2', 'agent-1', 'agent-1']);
+    expect(filterByTime(events, { until: new Date('2025-01-01T12:00:00Z') }).map(e => e.body.id)).toEqual(['turn-1', 'gen-1']);
+  });
+
+  test('filterByTime uses the observation time when its trace is not exported', () => {
+    const orphan = generation('gen-3', 'turn-0', '2025-01-03T00:00:00Z');
+
+    expect(filterByTime([orphan], { since: new Date('2025-01-02T12:00:00Z') })).toEqual([orphan]);
+  });
+
+  test('ndjson writes one event per line', () => {
+    const lines = toNdjson(events.slice(0, 2)).split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(JSON.parse(lines[1]).body.id).toBe('gen-1');
+    expect(toNdjson([])).toBe('');
+  });
+
+  test('csv writes one row per trace or observation with updates merged', () => {
+    const [header, ...rows] = toCsv(events).trim().split('\n');
+
+    expect(header).toBe('type,id,traceId,parentObservationId,name,startTime,endTime,project,conversationId,sessionId,userId,model,inputTokens,outputTokens,totalTokens,costUsd,input,output');
+    expect(rows).toHaveLength(5);
+    expect(rows[0]).toBe('trace,turn-1,turn-1,,claude_code_user,2025-01-01T00:00:00Z,,/code/app,c1,s1,me,,,,,,"Say ""hi"", then stop",');
+    expect(rows[1]).toBe('generation,gen-1,turn-1,,claude_response,2025-01-01T00:00:01Z,2025-01-01T00:00:01Z,/code/app,c1,,,claude-sonnet-4-5,10,2,12,0.5,,hi');
+    expect(rows[4]).toBe('agent,agent-1,turn-2,,claude_subagent,2025-01-02T00:00:05Z,2025-01-02T00:00:09Z,,,,,,,,,,,done');
+  });
+
+  test('formatEvents rejects unknown formats', () => {
+    expect(() => formatEvents(events, 'xml')).toThrow('Unknown format "xml" (expected one of: ndjson, csv)');
+  });
+});
@@ -0,0 +1,126 @@
+const os = require('os');
+const path = require('path');
+
+const { ProjectFilter, ProjectRouter, globToRegExp } = require('../lib/filters');
+
+describe('globToRegExp', () => {
+  test.each([
+    ['/Users/me/work/*', '/Users/me/work/app', true],
+    ['/Users/me/work/*', '/Users/me/work/app/sub', false],
+    ['/Users/me/work/**', '/Users/me/work/app/sub', true],
+    ['**/client-*', '/Users/me/code/client-acme', true],
+    ['**/client-*', '/client-acme', true],
+    ['**/client-*', '/Users/me/code/my-client-acme', false],
+    ['/Users/me/{work,oss}/*', '/Users/me/oss/lib', true],
+    ['/Users/me/{work,oss}/*', '/Users/me/personal/lib', false],
+    ['/tmp/app?', '/tmp/app1', true],
+    ['/tmp/app.v2', '/tmp/appXv2', false],
+    ['**github.com*acme/**', 'git@github.com:acme/repo.git', true]
+  ])('%s against %s', (glob, value, expected) => {
+    expect(globToRegExp(glob).test(value)).toBe(expected);
+  });
+});
+
+describe('ProjectFilter', () => {
+  test('tracks everything without rules', () => {
+    const filter = new ProjectFilter();
+
+    expect(filter.active).toBe(false);
+    expect(filter.check('/any/project')).toEqual({ tracked: true, reason: null });
+  });
+
+  test('only tracks projects matching an include rule', () => {
+    const filter = new ProjectFilter({ include: ['/Users/me/work/**'] });
+
+    expect(filter.check('/Users/me/work/app')).toEqual({ tracked: true, reason: 'included by /Users/me/work/**' });
+    expect(filter.check('/Users/me/personal/app')).toEqual({ tracked: false, reason: 'not matched by any include rule' });
+  });
+
+  test('exclude wins over include', () => {
+    const filter = new ProjectFilter({
+      include: ['/Users/me/work/**'],
+      exclude: ['**/client-*']
+    });
+
+    expect(filter.check('/Users/me/work/client-acme')).toEqual({ tracked: false, reason: 'excluded by **/client-*' });
+    expect(filter.isTracked('/Users/me/work/internal')).toBe(true);
+  });
+
+  test('expands a leading ~ to the home directory', () => {
+    const filter = new ProjectFilter({ exclude: ['~/client/**'] });
+
+    expect(filter.check(path.join(os.homedir(), 'client', 'acme'))).toEqual({ tracked: false, reason: 'excluded by ~/client/**' });
+    expect(filter.isTracked('/srv/client/acme')).toBe(true);
+  });
+
+  test('matches remote: rules against the git remote', () => {
+    const getRemote = jest.fn(projectPath => {
+      return projectPath === '/code/acme' ? 'git@github.com:acme-client/app.git' : null;
+    });
+    const filter = new ProjectFilter({ exclude: ['remote:**acme-client/**'] }, { getRemote });
+
+    expect(filter.isTracked('/code/acme')).toBe(false);
+    expect(filter.isTracked('/code/no-remote')).toBe(true);
+  });
+
+  test('caches decisions and remote lookups per project', () => {
+    const getRemote = jest.fn(() => 'https://github.com/me/app.git');
+    const filter = new ProjectFilter({ include: ['remote:**/me/**'] }, { getRemote });
+
+    filter.check('/code/app');
+    filter.check('/code/app');
+
+    expect(getRemote).toHaveBeenCalledTimes(1);
+  });
+
+  test('shares remote lookups with routers', () => {
+    const getRemote = jest.fn(() => 'git@github.com:acme/api.git');
+    const filter = new ProjectFilter({ include: ['remote:**acme/**'] }, { getRemote });
+    const router = new ProjectRouter([{ match: 'remote:**acme/**', profile: 'work' }], { getRemote });
+
+    expect(filter.isTracked('/code/api')).toBe(true);
+    expect(router.route('/code/api').profile).toBe('work');
+    expect(new ProjectFilter({ exclude: ['remote:**acme/**'] }, { getRemote }).isTracked('/code/api')).toBe(false);
+
+    expect(getRemote).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ProjectRouter', () => {
+  const routes = [
+    { match: '/Users/me/work/oss/**', profile: 'default' },
+    { match: '/Users/me/work/**', profile: 'work' },
+    { match: 'remote:**github.com*acme/**', profile: 'work' }
+  ];
+
+  test('routes nothing without routes', () => {
+    const router = new ProjectRouter();
+
+    expect(router.active).toBe(false);
+    expect(router.route('/any/project')).toEqual({ profile: null, reason: null });
+  });
+
+  test('uses the first matching route', () => {
+    const router = new ProjectRouter(routes, { getRemote: () => null });
+
+    expect(router.route('/Users/me/work/app')).toEqual({ profile: 'work', reason: 'routed by /Users/me/work/**' });
+    expect(router.route('/Users/me/work/oss/lib').profile).toBe('default');
+    expect(router.route('/Users/me/side/app').profile).toBeNull();
+  });
+
+  test('expands a leading ~ in routes', () => {
+    const router = new ProjectRouter([{ match: '~/work/**', profile: 'work' }]);
+
+    expect(router.route(path.join(os.homedir(), 'work', 'app')).profile).toBe('work');
+  });
+
+  test('matches remote: routes against the git remote', () => {
+    const getRemote = jest.fn().mockReturnValue('git@github.com:acme/api.git');
+    const router = new ProjectRouter(routes, { getRemote });
+
+    expect(router.route('/code/api')).toEqual({ profile: 'work', reason: 'routed by remote:**github.com*acme/**' });
+    router.route('/code/api');
+
+    expect(getRemote).toHaveBeenCalledTimes(1);
+  });
+});
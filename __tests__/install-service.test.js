@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('child_process');
+
+const { execSync } = require('child_process');
+const installer = require('../scripts/install-service');
+
+describe('install-service', () => {
+  let tmpHome;
+  let consoleLogSpy;
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-home-'));
+    jest.spyOn(os, 'homedir').mockReturnValue(tmpHome);
+    jest.spyOn(os, 'platform').mockReturnValue('linux');
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+
+    delete process.env.XDG_CONFIG_HOME;
+    delete process.env.XDG_STATE_HOME;
+    delete process.env.LANGFUSE_BASE_URL;
+    delete process.env.LANGFUSE_HOST;
+    delete process.env.LANGFUSE_PUBLIC_KEY;
+    delete process.env.LANGFUSE_SECRET_KEY;
+
+    execSync.mockImplementation((command) => {
+      if (command === 'which node') return Buffer.from('/usr/bin/node\n');
+      if (command === 'npm root -g') return Buffer.from('/nonexistent/node_modules\n');
+      return Buffer.from('');
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...savedEnv };
+    fs.rmSync(tmpHome, { recursive: true, force: true });
+  });
+
+  const writeConfig = () => {
+    fs.mkdirSync(path.join(tmpHome, '.claude-langfuse'), { recursive: true });
+    fs.writeFileSync(path.join(tmpHome, '.claude-langfuse', 'config.json'), '{}');
+  };
+
+  const unitPath = () => path.join(tmpHome, '.config', 'systemd', 'user', 'claude-langfuse-monitor.service');
+
+  describe('createUnit', () => {
+    test('runs the monitor with node and restarts on failure', () => {
+      const unit = installer.createUnit();
+
+      expect(unit).toContain('[Unit]');
+      expect(unit).toMatch(/^ExecStart="\/usr\/bin\/node" ".*index\.js"$/m);
+      expect(unit).toContain(`WorkingDirectory=${tmpHome}`);
+      expect(unit).toContain('Restart=on-failure');
+      expect(unit).toContain('RestartSec=60');
+      expect(unit).toContain('WantedBy=default.target');
+    });
+
+    test('reads credentials from an optional environment file', () => {
+      const unit = installer.createUnit();
+
+      expect(unit).toContain(`EnvironmentFile=-${path.join(tmpHome, '.claude-langfuse', 'service.env')}`);
+    });
+
+    test('logs to journald by default', () => {
+      const unit = installer.createUnit();
+
+      expect(unit).toContain('StandardOutput=journal');
+      expect(unit).toContain('StandardError=journal');
+      expect(unit).toContain('SyslogIdentifier=claude-langfuse-monitor');
+    });
+
+    test('logs to a rotated file when logTarget is file, appending other output to the error log', () => {
+      const unit = installer.createUnit({ logTarget: 'file' });
+      const logDir = path.join(tmpHome, '.local', 'state', 'claude-langfuse-monitor');
+
+      expect(unit).toContain(`Environment=CLAUDE_LANGFUSE_LOG_FILE=${path.join(logDir, 'claude-langfuse-monitor.log')}`);
+      expect(unit).toContain(`StandardOutput=append:${path.join(logDir, 'claude-langfuse-monitor-error.log')}`);
+      expect(unit).toContain(`StandardError=append:${path.join(logDir, 'claude-langfuse-monitor-error.log')}`);
+      expect(unit).not.toContain('StandardOutput=journal');
+    });
+  });
+
+  describe('createEnvFile', () => {
+    test('captures exported credentials and comments out missing ones', () => {
+      process.env.LANGFUSE_PUBLIC_KEY = 'pk-lf-1';
+      process.env.LANGFUSE_SECRET_KEY = 'sk-lf-1';
+
+      const envFile = installer.createEnvFile();
+
+      expect(envFile).toContain('# LANGFUSE_HOST=');
+      expect(envFile).toContain('LANGFUSE_PUBLIC_KEY=pk-lf-1');
+      expect(envFile).toContain('LANGFUSE_SECRET_KEY=sk-lf-1');
+      expect(envFile).toContain('# CLAUDE_LANGFUSE_LOG_LEVEL=');
+    });
+
+    test('leaves out variables config.json already sets', () => {
+      process.env.LANGFUSE_HOST = 'http://shell:3001';
+      process.env.LANGFUSE_PUBLIC_KEY = 'pk-lf-1';
+      process.env.LANGFUSE_SECRET_KEY = 'sk-lf-1';
+
+      const envFile = installer.createEnvFile({ host: 'http://config:3001', secretKeyFile: '~/.secret', log: { level: 'debug' } });
+
+      expect(envFile).toContain('# LANGFUSE_HOST= (config.json sets host; set here, it would override it)');
+      expect(envFile).toContain('# LANGFUSE_SECRET_KEY= (config.json sets secretKeyFile; set here, it would override it)');
+      expect(envFile).toContain('# CLAUDE_LANGFUSE_LOG_LEVEL= (config.json sets log.level; set here, it would override it)');
+      expect(envFile).toContain('LANGFUSE_PUBLIC_KEY=pk-lf-1');
+      expect(envFile).not.toContain('shell');
+      expect(envFile).not.toContain('sk-lf-1');
+    });
+  });
+
+  describe('createPlist', () => {
+    test('has the monitor write its own log and launchd catch the rest', () => {
+      const plist = installer.createPlist();
+      const logDir = path.join(tmpHome, 'Library', 'Logs');
+
+      expect(plist).toContain(`<key>CLAUDE_LANGFUSE_LOG_FILE</key>
+        <string>${path.join(logDir, 'claude-langfuse-monitor.log')}</string>`);
+      expect(plist).toContain(`<key>StandardOutPath</key>
+    <string>${path.join(logDir, 'claude-langfuse-monitor-error.log')}</string>`);
+    });
+  });
+
+  describe('install on Linux', () => {
+    test('writes the unit and environment file, then enables the service', async () => {
+      writeConfig();
+
+      await installer.install();
+
+      expect(fs.readFileSync(unitPath(), 'utf8')).toContain('ExecStart=');
+
+      const envFile = path.join(tmpHome, '.claude-langfuse', 'service.env');
+      expect(fs.statSync(envFile).mode & 0o777).toBe(0o600);
+
+      const commands = execSync.mock.calls.map(c => c[0]);
+      expect(commands).toEqual(expect.arrayContaining([
+        'systemctl --user daemon-reload',
+        'systemctl --user enable claude-langfuse-monitor.service',
+        'systemctl --user restart claude-langfuse-monitor.service'
+      ]));
+    });
+
+    test('honors XDG_CONFIG_HOME', async () => {
+      writeConfig();
+      process.env.XDG_CONFIG_HOME = path.join(tmpHome, 'xdg');
+
+      await installer.install();
+
+      expect(fs.existsSync(path.join(tmpHome, 'xdg', 'systemd', 'user', 'claude-langfuse-monitor.service'))).toBe(true);
+    });
+
+    test('keeps an existing environment file', async () => {
+      writeConfig();
+      const envFile = path.join(tmpHome, '.claude-langfuse', 'service.env');
+      fs.writeFileSync(envFile, 'LANGFUSE_SECRET_KEY=hand-edited\n');
+
+      await installer.install();
+
+      expect(fs.readFileSync(envFile, 'utf8')).toBe('LANGFUSE_SECRET_KEY=hand-edited\n');
+    });
+
+    test('warns when an existing environment file overrides config.json', async () => {
+      fs.mkdirSync(path.join(tmpHome, '.claude-langfuse'), { recursive: true });
+      fs.writeFileSync(path.join(tmpHome, '.claude-langfuse', 'config.json'), JSON.stringify({ secretKey: 'sk-lf-config' }));
+      const envFile = path.join(tmpHome, '.claude-langfuse', 'service.env');
+      fs.writeFileSync(envFile, '# LANGFUSE_HOST=\nLANGFUSE_SECRET_KEY=hand-edited\n');
+
+      await installer.install();
+
+      const output = consoleLogSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain(`${envFile} sets LANGFUSE_SECRET_KEY, which overrides secretKey in config.json`);
+      expect(output).not.toContain('LANGFUSE_HOST');
+    });
+
+    test('names exported variables it did not capture', async () => {
+      fs.mkdirSync(path.join(tmpHome, '.claude-langfuse'), { recursive: true });
+      fs.writeFileSync(path.join(tmpHome, '.claude-langfuse', 'config.json'), JSON.stringify({ publicKey: 'pk-lf-config' }));
+      process.env.LANGFUSE_PUBLIC_KEY = 'pk-lf-shell';
+
+      await installer.install();
+
+      const output = consoleLogSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Not captured: LANGFUSE_PUBLIC_KEY - config.json sets publicKey');
+      expect(fs.readFileSync(path.join(tmpHome, '.claude-langfuse', 'service.env'), 'utf8')).not.toContain('pk-lf-shell');
+    });
+
+    test('creates the log directory for file logging', async () => {
+      writeConfig();
+
+      await installer.install({ logTarget: 'file' });
+
+      expect(fs.existsSync(path.join(tmpHome, '.local', 'state', 'claude-langfuse-monitor'))).toBe(true);
+    });
+
+    test('accepts exported credentials instead of a config file', async () => {
+      process.env.LANGFUSE_PUBLIC_KEY = 'pk-lf-1';
+      process.env.LANGFUSE_SECRET_KEY = 'sk-lf-1';
+
+      await installer.install();
+
+      expect(fs.existsSync(unitPath())).toBe(true);
+    });
+
+    test('refuses to install without configuration', async () => {
+      await installer.install();
+
+      expect(fs.existsSync(unitPath())).toBe(false);
+      const output = consoleLogSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Configuration not found');
+    });
+
+    test('rejects unknown log targets', async () => {
+      writeConfig();
+
+      await installer.install({ logTarget: 'syslog' });
+
+      expect(fs.existsSync(unitPath())).toBe(false);
+    });
+
+    test('reports when systemctl fails', async () => {
+      writeConfig();
+      execSync.mockImplementation((command) => {
+        if (command.startsWith('systemctl')) throw new Error('Failed to connect to bus');
+        return Buffer.from('/usr/bin/node\n');
+      });
+
+      await installer.install();
+
+      const output = consoleLogSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Failed to enable service');
+    });
+  });
+
+  describe('uninstall on Linux', () => {
+    test('disables the service and removes the unit', async () => {
+      writeConfig();
+      await installer.install();
+
+      await installer.uninstall();
+
+      expect(fs.existsSync(unitPath())).toBe(false);
+      expect(execSync).toHaveBeenCalledWith('systemctl --user disable --now claude-langfuse-monitor.service');
+    });
+
+    test('reports when the service is not installed', async () => {
+      await installer.uninstall();
+
+      const output = consoleLogSpy.mock.calls.map(c => c[0]).join('\n');
+      expect(output).toContain('Service not installed');
+    });
+  });
+
+  describe('getServiceStatus', () => {
+    test('reports a missing unit as not installed', () => {
+      expect(installer.getServiceStatus()).toEqual({ supported: true, installed: false, running: false, file: unitPath() });
+    });
+
+    test('asks systemd whether an installed unit is running', async () => {
+      writeConfig();
+      await installer.install();
+
+      expect(installer.getServiceStatus()).toMatchObject({ installed: true, running: true });
+      expect(execSync).toHaveBeenCalledWith('systemctl --user is-active --quiet claude-langfuse-monitor.service', { stdio: 'ignore' });
+
+      execSync.mockImplementation(() => { throw new Error('inactive'); });
+      expect(installer.getServiceStatus()).toMatchObject({ installed: true, running: false });
+    });
+
+    test('checks the LaunchAgent on macOS', () => {
+      os.platform.mockReturnValue('darwin');
+      const plistPath = path.join(tmpHome, 'Library', 'LaunchAgents', 'co.oboyle.claude-langfuse-monitor.plist');
+      fs.mkdirSync(path.dirname(plistPath), { recursive: true });
+      fs.writeFileSync(plistPath, '');
+
+      expect(installer.getServiceStatus()).toEqual({ supported: true, installed: true, running: true, file: plistPath });
+      expect(execSync).toHaveBeenCalledWith('launchctl list co.oboyle.claude-langfuse-monitor', { stdio: 'ignore' });
+    });
+
+    test('is unsupported elsewhere', () => {
+      os.platform.mockReturnValue('win32');
+
+      expect(installer.getServiceStatus().supported).toBe(false);
+    });
+  });
+
+  describe('controlling the service', () => {
+    test('stops and restarts the systemd unit', () => {
+      installer.stopService();
+      installer.restartService();
+
+      expect(execSync).toHaveBeenCalledWith('systemctl --user stop claude-langfuse-monitor.service');
+      expect(execSync).toHaveBeenCalledWith('systemctl --user restart claude-langfuse-monitor.service');
+    });
+
+    test('stops and kickstarts the LaunchAgent on macOS', () => {
+      os.platform.mockReturnValue('darwin');
+      jest.spyOn(os, 'userInfo').mockReturnValue({ uid: 501 });
+
+      installer.stopService();
+      installer.restartService();
+
+      expect(execSync).toHaveBeenCalledWith('launchctl stop co.oboyle.claude-langfuse-monitor');
+      expect(execSync).toHaveBeenCalledWith('launchctl kickstart -k gui/501/co.oboyle.claude-langfuse-monitor');
+    });
+  });
+
+  describe('getServiceLogs', () => {
+    test('points at the journal by default', async () => {
+      writeConfig();
+      await installer.install();
+
+      expect(installer.getServiceLogs()).toEqual({ unit: 'claude-langfuse-monitor.service' });
+    });
+
+    test('reads the log files from a file-logging unit', async () => {
+      writeConfig();
+      await installer.install({ logTarget: 'file' });
+
+      const logDir = path.join(tmpHome, '.local', 'state', 'claude-langfuse-monitor');
+      expect(installer.getServiceLogs()).toEqual({
+        files: [path.join(logDir, 'claude-langfuse-monitor.log'), path.join(logDir, 'claude-langfuse-monitor-error.log')]
+      });
+    });
+
+    test('uses the launchd log files on macOS', () => {
+      os.platform.mockReturnValue('darwin');
+
+      expect(installer.getServiceLogs().files).toEqual([
+        path.join(tmpHome, 'Library', 'Logs', 'claude-langfuse-monitor.log'),
+        path.join(tmpHome, 'Library', 'Logs', 'claude-langfuse-monitor-error.log')
+      ]);
+    });
+  });
+
+  test('reports unsupported platforms', async () => {
+    os.platform.mockReturnValue('win32');
+
+    await installer.install();
+
+    const output = consoleLogSpy.mock.calls.map(c => c[0]).join('\n');
+    expect(output).toContain('Unsupported platform: win32');
+  });
+});
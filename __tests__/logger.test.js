@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+
+const { Logger, RotatingFile } = require('../lib/logger');
+
+describe('Logger', () => {
+  let logSpy;
+  let warnSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation();
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    errorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes pretty messages to the terminal by level', () => {
+    const logger = new Logger();
+
+    logger.info('🔄 Config reloaded', { details: ['host: a → b'] });
+    logger.warn('⚠️  Heap high');
+    logger.error('❌ Broken');
+
+    expect(logSpy).toHaveBeenCalledWith(`🔄 Config reloaded\n${chalk.gray('   host: a → b')}`);
+    expect(warnSpy).toHaveBeenCalledWith('⚠️  Heap high');
+    expect(errorSpy).toHaveBeenCalledWith('❌ Broken');
+  });
+
+  test('drops messages below its level', () => {
+    const logger = new Logger({ level: 'warn' });
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+
+    expect(logSpy).not.toHaveBeenCalled();
+    expect(warnSpy).toHaveBeenCalledWith('warn');
+  });
+
+  test('shows debug messages at the debug level', () => {
+    new Logger({ level: 'debug' }).debug('📤 Sent 3 events');
+
+    expect(logSpy).toHaveBeenCalledWith('📤 Sent 3 events');
+  });
+
+  test('writes one JSON object per line without emoji or colour', () => {
+    const logger = new Logger({ format: 'json' });
+
+    logger.info(chalk.green('\n🔄 Config reloaded'), { details: [chalk.gray('host: a → b')], pid: 42 });
+
+    const record = JSON.parse(logSpy.mock.calls[0][0]);
+    expect(record).toEqual({
+      time: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+      level: 'info',
+      msg: 'Config reloaded',
+      pid: 42,
+      details: ['host: a → b']
+    });
+  });
+
+  test('rejects an unknown level or format', () => {
+    expect(() => new Logger({ level: 'verbose' })).toThrow('log.level must be one of: error, warn, info, debug');
+    expect(() => new Logger({ format: 'xml' })).toThrow('log.format must be one of: pretty, json');
+  });
+
+  describe('with a file', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-logger-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('writes timestamped plain lines there instead of the terminal', () => {
+      const file = path.join(tmpDir, 'logs', 'monitor.log');
+      const logger = new Logger({ file });
+
+      logger.warn(chalk.yellow('\n\n🛑 Stopping monitor (SIGTERM)...'));
+      logger.info('🔄 Config reloaded', { details: ['host: a → b'] });
+
+      const lines = fs.readFileSync(file, 'utf8').trimEnd().split('\n');
+      expect(lines).toEqual([
+        expect.stringMatching(/^\d{4}-\d\d-\d\dT\S+ WARN {2}🛑 Stopping monitor \(SIGTERM\)\.\.\.$/),
+        expect.stringMatching(/^\S+ INFO {2}🔄 Config reloaded$/),
+        expect.stringMatching(/^\S+ INFO {5}host: a → b$/)
+      ]);
+      expect(logSpy).not.toHaveBeenCalled();
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    test('falls back to the terminal when the file cannot be written', () => {
+      fs.writeFileSync(path.join(tmpDir, 'blocked'), '');
+      const logger = new Logger({ file: path.join(tmpDir, 'blocked', 'monitor.log') });
+
+      logger.info('🔄 Config reloaded');
+
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Could not write to'));
+      expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('Config reloaded'));
+    });
+  });
+});
+
+describe('RotatingFile', () => {
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-rotate-'));
+    file = path.join(tmpDir, 'monitor.log');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const rotated = () => fs.readdirSync(tmpDir).filter(name => name !== 'monitor.log').sort();
+
+  test('moves the file aside once the next line would pass maxBytes', () => {
+    const log = new RotatingFile(file, { maxBytes: 20 });
+
+    log.write('0123456789\n');
+    log.write('0123456789\n');
+
+    expect(rotated()).toEqual([expect.stringMatching(/^monitor-\d{4}-.+\.log$/)]);
+    expect(fs.readFileSync(path.join(tmpDir, rotated()[0]), 'utf8')).toBe('0123456789\n');
+    expect(fs.readFileSync(file, 'utf8')).toBe('0123456789\n');
+  });
+
+  test('counts what the file held before it was opened', () => {
+    fs.writeFileSync(file, '0123456789\n');
+
+    new RotatingFile(file, { maxBytes: 20 }).write('0123456789\n');
+
+    expect(rotated()).toHaveLength(1);
+  });
+
+  test('keeps only the newest maxFiles rotated files', () => {
+    const now = jest.spyOn(Date, 'now');
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    now.mockImplementation(() => clock);
+    const log = new RotatingFile(file, { maxBytes: 5, maxFiles: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      clock += 1000;
+      log.write(`line${i}\n`);
+    }
+
+    expect(rotated()).toHaveLength(2);
+    expect(fs.readFileSync(path.join(tmpDir, rotated()[1]), 'utf8')).toBe('line3\n');
+  });
+
+  test('moves the file aside once it is maxAgeDays old', () => {
+    const now = jest.spyOn(Date, 'now');
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    now.mockReturnValue(start);
+    const log = new RotatingFile(file, { maxAgeDays: 1 });
+
+    log.write('day one\n');
+    now.mockReturnValue(start + 23 * 60 * 60 * 1000);
+    log.write('still day one\n');
+    expect(rotated()).toEqual([]);
+
+    now.mockReturnValue(start + 25 * 60 * 60 * 1000);
+    log.write('day two\n');
+
+    expect(rotated()).toHaveLength(1);
+    expect(fs.readFileSync(file, 'utf8')).toBe('day two\n');
+  });
+
+  test('leaves files that only share a prefix alone', () => {
+    fs.writeFileSync(path.join(tmpDir, 'monitor-error.log'), 'crash\n');
+    const log = new RotatingFile(file, { maxBytes: 5, maxFiles: 1 });
+
+    log.write('line1\n');
+    log.write('line2\n');
+    log.write('line3\n');
+
+    expect(rotated()).toContain('monitor-error.log');
+  });
+});
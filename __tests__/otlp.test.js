@@ -0,0 +1,215 @@
+const http = require('http');
+
+const { OtlpSink, toTraceId, toSpanId, parseHeaders } = require('../lib/sinks/otlp');
+
+describe('OtlpSink', () => {
+  let collector;
+  let received;
+  let status;
+  let endpoint;
+
+  // Stand-in collector recording every OTLP/HTTP request
+  beforeEach(async () => {
+    received = [];
+    status = 200;
+    collector = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, payload: JSON.parse(body) });
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(status === 200 ? '{}' : '{"message":"bad batch"}');
+      });
+    });
+    await new Promise(resolve => collector.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${collector.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => collector.close(resolve));
+  });
+
+  const ts = '2025-01-01T12:00:00.000Z';
+  const later = '2025-01-01T12:00:05.000Z';
+  const trace = {
+    type: 'trace-create',
+    id: 'e-trace',
+    timestamp: ts,
+    body: {
+      id: 'turn-1',
+      name: 'claude_code_user',
+      sessionId: 'session-1',
+      userId: 'me@example.com',
+      input: 'Fix the bug',
+      tags: ['app'],
+      timestamp: ts,
+      metadata: { project: '/code/app', conversationId: 'conv-1', gitBranch: 'main' }
+    }
+  };
+  const generation = {
+    type: 'generation-create',
+    id: 'e-gen',
+    timestamp: ts,
+    body: {
+      id: 'gen-1',
+      traceId: 'turn-1',
+      name: 'claude_response',
+      model: 'claude-sonnet-4-5',
+      output: 'Looking',
+      usageDetails: { input: 100, output: 20, cache_read_input_tokens: 50, total: 170 },
+      costDetails: { total: 0.0006 },
+      startTime: ts,
+      completionStartTime: ts,
+      endTime: later,
+      metadata: { project: '/code/app', conversationId: 'conv-1', messageId: 'msg_1', requestId: 'req_1' }
+    }
+  };
+  const tool = {
+    type: 'span-create',
+    id: 'e-tool',
+    timestamp: ts,
+    body: {
+      id: 'toolu_1',
+      traceId: 'turn-1',
+      parentObservationId: 'gen-1',
+      name: 'Read',
+      input: { file_path: 'a.js' },
+      output: 'ENOENT',
+      is_error: true,
+      type: 'tool',
+      startTime: ts,
+      endTime: later,
+      metadata: { project: '/code/app', conversationId: 'conv-1' }
+    }
+  };
+
+  const spansOf = request => request.payload.resourceSpans[0].scopeSpans[0].spans;
+  const attr = (span, key) => {
+    const found = span.attributes.find(a => a.key === key);
+    return found && found.value;
+  };
+
+  test('posts OTLP/JSON to /v1/traces with the service name', async () => {
+    const sink = new OtlpSink({ endpoint, serviceName: 'my-claude', headers: { authorization: 'Bearer t' } });
+
+    const result = await sink.send([trace]);
+
+    expect(result).toEqual({ failed: [] });
+    expect(received).toHaveLength(1);
+    expect(received[0].url).toBe('/v1/traces');
+    expect(received[0].headers['content-type']).toBe('application/json');
+    expect(received[0].headers.authorization).toBe('Bearer t');
+    expect(received[0].payload.resourceSpans[0].resource.attributes)
+      .toContainEqual({ key: 'service.name', value: { stringValue: 'my-claude' } });
+  });
+
+  test('maps a turn, its generation and tool call to one trace', async () => {
+    const sink = new OtlpSink({ endpoint });
+
+    await sink.send([trace, generation, tool]);
+
+    const [root, chat, read] = spansOf(received[0]);
+    const traceId = toTraceId('turn-1');
+
+    expect(root).toMatchObject({ traceId, spanId: toSpanId('turn-1'), name: 'invoke_agent claude_code' });
+    expect(root.parentSpanId).toBeUndefined();
+    expect(attr(root, 'gen_ai.conversation.id')).toEqual({ stringValue: 'session-1' });
+    expect(attr(root, 'claude_code.tags')).toEqual({ arrayValue: { values: [{ stringValue: 'app' }] } });
+
+    expect(chat).toMatchObject({ traceId, spanId: toSpanId('gen-1'), parentSpanId: toSpanId('turn-1'), name: 'chat claude-sonnet-4-5', kind: 3 });
+    expect(chat.startTimeUnixNano).toBe('1735732800000000000');
+    expect(chat.endTimeUnixNano).toBe('1735732805000000000');
+    expect(chat.events).toEqual([{ name: 'gen_ai.first_block', timeUnixNano: '1735732800000000000' }]);
+    expect(attr(chat, 'gen_ai.operation.name')).toEqual({ stringValue: 'chat' });
+    expect(attr(chat, 'gen_ai.usage.input_tokens')).toEqual({ intValue: '100' });
+    expect(attr(chat, 'gen_ai.usage.cache_read.input_tokens')).toEqual({ intValue: '50' });
+    expect(attr(chat, 'gen_ai.response.id')).toEqual({ stringValue: 'msg_1' });
+    expect(attr(chat, 'claude_code.cost_usd')).toEqual({ doubleValue: 0.0006 });
+
+    expect(read).toMatchObject({ parentSpanId: toSpanId('gen-1'), name: 'execute_tool Read', status: { code: 2, message: 'ENOENT' } });
+    expect(attr(read, 'gen_ai.tool.call.arguments')).toEqual({ stringValue: '{"file_path":"a.js"}' });
+  });
+
+  test('re-exports an updated observation with its earlier fields', async () => {
+    const sink = new OtlpSink({ endpoint });
+    const agent = {
+      type: 'span-create',
+      id: 'e-agent',
+      timestamp: ts,
+      body: { id: 'agent-1', traceId: 'turn-1', parentObservationId: 'toolu_task', type: 'agent', input: 'Go', startTime: ts, metadata: { subagentType: 'explorer' } }
+    };
+    const done = { type: 'span-update', id: 'e-done', timestamp: later, body: { id: 'agent-1', traceId: 'turn-1', output: 'Found it', endTime: later } };
+
+    await sink.send([agent]);
+    await sink.send([done]);
+
+    const [span] = spansOf(received[1]);
+    expect(span).toMatchObject({ spanId: toSpanId('agent-1'), parentSpanId: toSpanId('toolu_task'), name: 'invoke_agent explorer' });
+    expect(span.endTimeUnixNano).toBe('1735732805000000000');
+    expect(attr(span, 'gen_ai.output.messages').stringValue).toContain('Found it');
+  });
+
+  test('skips updates to observations it never saw', async () => {
+    const sink = new OtlpSink({ endpoint });
+
+    const result = await sink.send([{ type: 'span-update', id: 'e', timestamp: ts, body: { id: 'unknown', endTime: ts } }]);
+
+    expect(result).toEqual({ failed: [] });
+    expect(received).toHaveLength(0);
+  });
+
+  test('fails the whole batch when the collector rejects it', async () => {
+    status = 400;
+    const sink = new OtlpSink({ endpoint });
+
+    const result = await sink.send([trace, generation]);
+
+    expect(result.failed).toEqual([trace, generation]);
+    expect(result.error.message).toBe('OTLP export failed with HTTP 400: {"message":"bad batch"}');
+  });
+
+  test('fails the whole batch when the collector is unreachable', async () => {
+    const sink = new OtlpSink({ endpoint: 'http://127.0.0.1:1' });
+
+    const result = await sink.send([trace]);
+
+    expect(result.failed).toEqual([trace]);
+    expect(result.error.message).toMatch(/ECONNREFUSED/);
+  });
+
+  test('check posts an empty batch', async () => {
+    const sink = new OtlpSink({ endpoint });
+
+    const result = await sink.check();
+
+    expect(result.ok).toBe(true);
+    expect(spansOf(received[0])).toEqual([]);
+  });
+
+  test('check points at the auth headers when the collector refuses', async () => {
+    status = 401;
+
+    const result = await new OtlpSink({ endpoint }).check();
+
+    expect(result).toMatchObject({ ok: false, hint: 'Check the auth headers in otlp.headers or OTEL_EXPORTER_OTLP_HEADERS' });
+    expect(result.error).toContain('answered HTTP 401');
+  });
+
+  test('reads the endpoint, headers and service name from OTEL_* variables', () => {
+    const env = { ...process.env };
+    process.env.OTEL_EXPORTER_OTLP_ENDPOINT = 'https://otel.example.com/';
+    process.env.OTEL_EXPORTER_OTLP_HEADERS = 'x-api-key=abc%3D,x-team=ai';
+    process.env.OTEL_SERVICE_NAME = 'from-env';
+
+    const sink = new OtlpSink();
+
+    expect(sink.destination).toBe('https://otel.example.com/v1/traces');
+    expect(sink.headers).toEqual({ 'x-api-key': 'abc=', 'x-team': 'ai' });
+    expect(sink.serviceName).toBe('from-env');
+    process.env = env;
+  });
+
+  test('parseHeaders ignores malformed pairs', () => {
+    expect(parseHeaders('a=1,,b,=c')).toEqual({ a: '1' });
+  });
+});
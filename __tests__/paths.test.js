@@ -0,0 +1,17 @@
+const os = require('os');
+const path = require('path');
+
+const { expandHome } = require('../lib/paths');
+
+describe('expandHome', () => {
+  test('replaces a leading ~ with the home directory', () => {
+    expect(expandHome('~/logs/monitor.log')).toBe(path.join(os.homedir(), 'logs', 'monitor.log'));
+    expect(expandHome('~')).toBe(os.homedir());
+  });
+
+  test('leaves other paths alone', () => {
+    expect(expandHome('/var/log/~/monitor.log')).toBe('/var/log/~/monitor.log');
+    expect(expandHome('~other/logs')).toBe('~other/logs');
+    expect(expandHome('relative/~')).toBe('relative/~');
+  });
+});
@@ -0,0 +1,84 @@
+const { DEFAULT_PRICES, extractUsage, resolvePrice, calculateCost } = require('../lib/pricing');
+
+describe('pricing', () => {
+  describe('extractUsage', () => {
+    test('maps Anthropic usage fields to Langfuse usage details', () => {
+      const details = extractUsage({
+        input_tokens: 10,
+        output_tokens: 200,
+        cache_creation_input_tokens: 1000,
+        cache_read_input_tokens: 5000,
+        service_tier: 'standard'
+      });
+
+      expect(details).toEqual({
+        input: 10,
+        output: 200,
+        cache_creation_input_tokens: 1000,
+        cache_read_input_tokens: 5000,
+        total: 6210
+      });
+    });
+
+    test('omits fields that are not present', () => {
+      expect(extractUsage({ input_tokens: 3, output_tokens: 4 })).toEqual({
+        input: 3,
+        output: 4,
+        total: 7
+      });
+    });
+
+    test('returns undefined without token counts', () => {
+      expect(extractUsage(undefined)).toBeUndefined();
+      expect(extractUsage('usage')).toBeUndefined();
+      expect(extractUsage({ service_tier: 'standard' })).toBeUndefined();
+    });
+  });
+
+  describe('resolvePrice', () => {
+    test('resolves dated model ids to their family by longest prefix', () => {
+      expect(resolvePrice('claude-sonnet-4-5-20250929')).toBe(DEFAULT_PRICES['claude-sonnet-4']);
+      expect(resolvePrice('claude-opus-4-5-20251101')).toBe(DEFAULT_PRICES['claude-opus-4-5']);
+      expect(resolvePrice('claude-opus-4-1-20250805')).toBe(DEFAULT_PRICES['claude-opus-4']);
+    });
+
+    test('prefers config overrides over the built-in table', () => {
+      const custom = { input: 1, output: 2 };
+
+      expect(resolvePrice('claude-sonnet-4-5', { 'claude-sonnet-4-5': custom })).toBe(custom);
+      expect(resolvePrice('claude-haiku-4-5', { 'claude-sonnet-4-5': custom })).toBe(DEFAULT_PRICES['claude-haiku-4']);
+    });
+
+    test('returns undefined for unknown models, missing models or disabled pricing', () => {
+      expect(resolvePrice('<synthetic>')).toBeUndefined();
+      expect(resolvePrice(undefined)).toBeUndefined();
+      expect(resolvePrice('claude-sonnet-4-5', false)).toBeUndefined();
+    });
+  });
+
+  describe('calculateCost', () => {
+    test('prices each usage type per million tokens', () => {
+      const cost = calculateCost(
+        { input: 1000000, output: 100000, cache_creation_input_tokens: 200000, cache_read_input_tokens: 1000000 },
+        { input: 3, output: 15, cacheCreation: 3.75, cacheRead: 0.3 }
+      );
+
+      expect(cost.input).toBeCloseTo(3);
+      expect(cost.output).toBeCloseTo(1.5);
+      expect(cost.cache_creation_input_tokens).toBeCloseTo(0.75);
+      expect(cost.cache_read_input_tokens).toBeCloseTo(0.3);
+      expect(cost.total).toBeCloseTo(5.55);
+    });
+
+    test('skips usage types the price does not cover', () => {
+      const cost = calculateCost({ input: 1000000, cache_read_input_tokens: 10 }, { input: 2 });
+
+      expect(cost).toEqual({ input: 2, total: 2 });
+    });
+
+    test('returns undefined without usage or price', () => {
+      expect(calculateCost(undefined, { input: 1 })).toBeUndefined();
+      expect(calculateCost({ input: 1 }, undefined)).toBeUndefined();
+    });
+  });
+});
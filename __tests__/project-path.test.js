@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  ProjectResolver,
+  MISS_RETRY_MS,
+  encodeProjectPath,
+  naiveDecode,
+  findTranscriptCwd,
+  matchCwd,
+  probeFilesystem
+} = require('../lib/project-path');
+
+describe('project path resolution', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-paths-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeTranscript = (entries) => {
+    const filepath = path.join(tmpDir, 'conv.jsonl');
+    fs.writeFileSync(filepath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    return filepath;
+  };
+
+  test('encodes like Claude Code: every non-alphanumeric character becomes a dash', () => {
+    expect(encodeProjectPath('/home/me/my-app')).toBe('-home-me-my-app');
+    expect(encodeProjectPath('/home/me/.config/app_v2')).toBe('-home-me--config-app-v2');
+  });
+
+  test('naive decoding is lossy', () => {
+    expect(naiveDecode('-home-me-my-app')).toBe('/home/me/my/app');
+  });
+
+  describe('findTranscriptCwd', () => {
+    test('returns the first cwd in the transcript', () => {
+      const filepath = writeTranscript([
+        { type: 'summary', summary: 'x' },
+        { type: 'user', cwd: '/home/me/my-app' },
+        { type: 'user', cwd: '/elsewhere' }
+      ]);
+
+      expect(findTranscriptCwd(filepath)).toBe('/home/me/my-app');
+    });
+
+    test('returns null when no entry has a cwd', () => {
+      expect(findTranscriptCwd(writeTranscript([{ type: 'summary' }]))).toBeNull();
+    });
+  });
+
+  describe('matchCwd', () => {
+    test('accepts the cwd when it encodes to the project name', () => {
+      expect(matchCwd('/home/me/my-app', '-home-me-my-app')).toBe('/home/me/my-app');
+    });
+
+    test('walks up from a subdirectory of the project', () => {
+      expect(matchCwd('/home/me/my-app/packages/core', '-home-me-my-app')).toBe('/home/me/my-app');
+    });
+
+    test('rejects a cwd from another project', () => {
+      expect(matchCwd('/srv/other', '-home-me-my-app')).toBeNull();
+    });
+  });
+
+  describe('probeFilesystem', () => {
+    test('finds the directory whose name encodes to the project', () => {
+      fs.mkdirSync(path.join(tmpDir, 'home', 'me', 'my-app'), { recursive: true });
+      fs.mkdirSync(path.join(tmpDir, 'home', 'me', 'my'), { recursive: true });
+
+      expect(probeFilesystem('-home-me-my-app', tmpDir)).toBe(path.join(tmpDir, 'home', 'me', 'my-app'));
+    });
+
+    test('handles dots and nested dashes', () => {
+      fs.mkdirSync(path.join(tmpDir, 'code', 'site.io', 'a-b'), { recursive: true });
+
+      expect(probeFilesystem('-code-site-io-a-b', tmpDir)).toBe(path.join(tmpDir, 'code', 'site.io', 'a-b'));
+    });
+
+    test('returns null when nothing matches', () => {
+      expect(probeFilesystem('-nowhere-at-all', tmpDir)).toBeNull();
+      expect(probeFilesystem('relative-name', tmpDir)).toBeNull();
+    });
+  });
+
+  describe('ProjectResolver', () => {
+    test('prefers the transcript cwd and caches the result', () => {
+      const resolver = new ProjectResolver();
+      const filepath = writeTranscript([{ type: 'user', cwd: '/home/me/my-app' }]);
+
+      expect(resolver.resolve('-home-me-my-app', filepath)).toBe('/home/me/my-app');
+
+      fs.unlinkSync(filepath);
+      expect(resolver.resolve('-home-me-my-app', filepath)).toBe('/home/me/my-app');
+    });
+
+    test('falls back to the naive decoding without caching it', () => {
+      const resolver = new ProjectResolver();
+
+      expect(resolver.resolve('-does-not-exist-here', path.join(tmpDir, 'missing.jsonl'))).toBe('/does/not/exist/here');
+      expect(resolver.cache.size).toBe(0);
+    });
+
+    test('retries a project that could not be resolved only after a while', () => {
+      const resolver = new ProjectResolver();
+      const filepath = writeTranscript([{ type: 'user' }]);
+
+      expect(resolver.resolve('-home-me-my-app', filepath, 1000)).toBe('/home/me/my/app');
+
+      writeTranscript([{ type: 'user', cwd: '/home/me/my-app' }]);
+      expect(resolver.resolve('-home-me-my-app', filepath, 1000 + MISS_RETRY_MS - 1)).toBe('/home/me/my/app');
+      expect(resolver.resolve('-home-me-my-app', filepath, 1000 + MISS_RETRY_MS)).toBe('/home/me/my-app');
+      expect(resolver.misses.size).toBe(0);
+    });
+  });
+});
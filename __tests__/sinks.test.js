@@ -0,0 +1,165 @@
+const { createSink } = require('../lib/sinks');
+const { LangfuseSink } = require('../lib/sinks/langfuse');
+const { OtlpSink } = require('../lib/sinks/otlp');
+
+describe('createSink', () => {
+  test('defaults to Langfuse', () => {
+    const sink = createSink({ host: 'http://localhost:3001', publicKey: 'pk', secretKey: 'sk' });
+
+    expect(sink).toBeInstanceOf(LangfuseSink);
+    expect(sink.destination).toBe('http://localhost:3001');
+    expect(sink.client.config).toEqual({ publicKey: 'pk', secretKey: 'sk', baseUrl: 'http://localhost:3001' });
+  });
+
+  test('builds an OTLP sink from the otlp settings', () => {
+    const sink = createSink({ sink: 'otlp', otlp: { endpoint: 'http://collector:4318' } });
+
+    expect(sink).toBeInstanceOf(OtlpSink);
+    expect(sink.destination).toBe('http://collector:4318/v1/traces');
+  });
+
+  test('rejects unknown sinks', () => {
+    expect(() => createSink({ sink: 'kafka' })).toThrow('Unknown sink "kafka" (expected one of: langfuse, otlp, file)');
+  });
+});
+
+describe('LangfuseSink', () => {
+  const events = [{ id: 'e1' }, { id: 'e2' }];
+
+  test('accepts a batch without errors', async () => {
+    const sink = new LangfuseSink({});
+
+    expect(await sink.send(events)).toEqual({ failed: [] });
+    expect(sink.client.api.ingestion.batch).toHaveBeenCalledWith({ batch: events });
+  });
+
+  test('returns the events rejected in a 207 response', async () => {
+    const sink = new LangfuseSink({});
+    sink.client.api.ingestion.batch.mockResolvedValueOnce({ errors: [{ id: 'e2', status: 400, message: 'bad' }] });
+
+    const { failed, error } = await sink.send(events);
+
+    expect(failed).toEqual([{ id: 'e2' }]);
+    expect(error.message).toBe('1 of 2 events rejected: e2 (400: bad)');
+  });
+
+  test('check reports version, project and latency', async () => {
+    const sink = new LangfuseSink({ host: 'http://localhost:3001' });
+
+    const result = await sink.check();
+
+    expect(result).toMatchObject({ ok: true, version: '3.0.0', project: 'test-project' });
+    expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(sink.client.api.projects.get).toHaveBeenCalledWith({ timeoutInSeconds: 10, maxRetries: 0 });
+  });
+
+  test('check explains an unreachable host', async () => {
+    const sink = new LangfuseSink({ host: 'http://localhost:3001' });
+    sink.client.api.health.health.mockRejectedValueOnce(new Error('fetch failed'));
+
+    const result = await sink.check();
+
+    expect(result).toMatchObject({ ok: false, error: 'Cannot reach Langfuse at http://localhost:3001: fetch failed' });
+    expect(result.hint).toContain('claude-langfuse config --host');
+  });
+
+  test('check explains rejected keys', async () => {
+    const sink = new LangfuseSink({});
+    sink.client.api.projects.get.mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { statusCode: 401 }));
+
+    const result = await sink.check();
+
+    expect(result).toMatchObject({ ok: false, version: '3.0.0', error: 'Langfuse rejected the API keys (HTTP 401)' });
+    expect(result.hint).toContain('--public-key');
+  });
+
+  test('returns every event when the request fails', async () => {
+    const sink = new LangfuseSink({});
+    sink.client.api.ingestion.batch.mockRejectedValueOnce(new Error('Network error'));
+
+    const { failed, error } = await sink.send(events);
+
+    expect(failed).toEqual(events);
+    expect(error.message).toBe('Network error');
+  });
+
+  test('reads and deletes traces without retrying', async () => {
+    const sink = new LangfuseSink({});
+
+    await sink.readTrace('doctor-1');
+    await sink.deleteTrace('doctor-1');
+
+    expect(sink.client.api.trace.get).toHaveBeenCalledWith('doctor-1', { timeoutInSeconds: 10, maxRetries: 0 });
+    expect(sink.client.api.trace.delete).toHaveBeenCalledWith('doctor-1', { timeoutInSeconds: 10, maxRetries: 0 });
+  });
+});
+
+describe('FileSink', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const os = require('os');
+  const { FileSink } = require('../lib/sinks/file');
+
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-events-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const event = (id) => ({ type: 'trace-create', id, timestamp: '2025-01-01T00:00:00Z', body: { id } });
+
+  test('appends events as NDJSON', async () => {
+    const sink = new FileSink({ dir: path.join(tmpDir, 'events') });
+
+    expect(await sink.send([event('e1')])).toEqual({ failed: [] });
+    await sink.send([event('e2'), event('e3')]);
+
+    const lines = fs.readFileSync(sink.filepath, 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).id)).toEqual(['e1', 'e2', 'e3']);
+  });
+
+  test('rotates the file once it is full and keeps maxFiles rotated files', async () => {
+    const sink = new FileSink({ dir: tmpDir, maxBytes: 10, maxFiles: 2 });
+    jest.useFakeTimers();
+
+    for (let i = 0; i < 5; i++) {
+      jest.setSystemTime(new Date(Date.UTC(2025, 0, 1, 0, 0, i)));
+      await sink.send([event(`e${i}`)]);
+    }
+    jest.useRealTimers();
+
+    const rotated = fs.readdirSync(tmpDir).filter(name => name.startsWith('events-')).sort();
+    expect(rotated).toEqual(['events-2025-01-01T00-00-03-000Z.ndjson', 'events-2025-01-01T00-00-04-000Z.ndjson']);
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, rotated[1]), 'utf8')).id).toBe('e3');
+    expect(JSON.parse(fs.readFileSync(sink.filepath, 'utf8')).id).toBe('e4');
+  });
+
+  test('returns every event when the file cannot be written', async () => {
+    const blocker = path.join(tmpDir, 'file');
+    fs.writeFileSync(blocker, '');
+    const sink = new FileSink({ dir: path.join(blocker, 'events') });
+
+    const { failed, error } = await sink.send([event('e1')]);
+
+    expect(failed).toHaveLength(1);
+    expect(error.code).toBe('ENOTDIR');
+  });
+
+  test('check verifies the directory is writable', async () => {
+    expect(await new FileSink({ dir: tmpDir }).check()).toEqual({ ok: true, latencyMs: 0 });
+
+    const blocker = path.join(tmpDir, 'file');
+    fs.writeFileSync(blocker, '');
+    const result = await new FileSink({ dir: path.join(blocker, 'events') }).check();
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain(`Cannot write to ${path.join(blocker, 'events')}`);
+  });
+
+  test('is selected with sink "file"', () => {
+    expect(createSink({ sink: 'file', file: { dir: '~/archive' } }).destination).toBe(path.join(os.homedir(), 'archive', 'events.ndjson'));
+  });
+});
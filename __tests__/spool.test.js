@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { Spool, backoffDelay, MAX_ATTEMPTS } = require('../lib/spool');
+
+describe('Spool', () => {
+  let tmpDir;
+  let spool;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-spool-'));
+    spool = new Spool(path.join(tmpDir, 'spool'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('lists nothing before anything was spooled', () => {
+    expect(spool.list()).toEqual([]);
+    expect(spool.due()).toEqual([]);
+    expect(spool.purge()).toBe(0);
+  });
+
+  test('writes failed batches to disk with the error and first backoff', () => {
+    const before = Date.now();
+    const entry = spool.write([{ id: 'event-1' }], new Error('fetch failed'));
+
+    expect(fs.existsSync(entry.file)).toBe(true);
+
+    const [listed] = spool.list();
+    expect(listed.events).toEqual([{ id: 'event-1' }]);
+    expect(listed.attempts).toBe(1);
+    expect(listed.lastError).toBe('fetch failed');
+    expect(Date.parse(listed.nextAttemptAt)).toBeGreaterThanOrEqual(before + backoffDelay(1));
+  });
+
+  test('records the profile a batch was routed to', () => {
+    spool.write([{ id: 'event-1' }], new Error('VPN down'), 'work');
+    spool.write([{ id: 'event-2' }]);
+
+    const profiles = Object.fromEntries(spool.list().map(entry => [entry.events[0].id, entry.profile]));
+    expect(profiles).toEqual({ 'event-1': 'work', 'event-2': undefined });
+  });
+
+  test('only returns entries whose backoff has elapsed', () => {
+    spool.write([{ id: 'event-1' }]);
+
+    expect(spool.due()).toHaveLength(0);
+    expect(spool.due(Date.now() + backoffDelay(1))).toHaveLength(1);
+  });
+
+  test('backs off exponentially up to a cap', () => {
+    expect(backoffDelay(1)).toBe(30 * 1000);
+    expect(backoffDelay(2)).toBe(60 * 1000);
+    expect(backoffDelay(3)).toBe(120 * 1000);
+    expect(backoffDelay(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('markFailed bumps attempts and keeps only the remaining events', () => {
+    const entry = spool.write([{ id: 'event-1' }, { id: 'event-2' }]);
+
+    spool.markFailed(entry, new Error('503'), [{ id: 'event-2' }]);
+
+    const [listed] = spool.list();
+    expect(listed.attempts).toBe(2);
+    expect(listed.lastError).toBe('503');
+    expect(listed.events).toEqual([{ id: 'event-2' }]);
+  });
+
+  test('stops auto-retrying entries that exhausted their attempts', () => {
+    const entry = spool.write([{ id: 'event-1' }]);
+    entry.attempts = MAX_ATTEMPTS;
+    entry.nextAttemptAt = new Date(0).toISOString();
+    spool.save(entry);
+
+    expect(spool.due()).toHaveLength(0);
+    expect(spool.list()).toHaveLength(1);
+  });
+
+  test('removes and purges entries', () => {
+    const first = spool.write([{ id: 'event-1' }]);
+    spool.write([{ id: 'event-2' }]);
+
+    spool.remove(first);
+    expect(spool.list()).toHaveLength(1);
+
+    expect(spool.purge()).toBe(1);
+    expect(spool.list()).toEqual([]);
+  });
+
+  test('skips unreadable entries', () => {
+    spool.write([{ id: 'event-1' }]);
+    fs.writeFileSync(path.join(spool.dir, '0-broken.json'), '{');
+
+    expect(spool.list()).toHaveLength(1);
+  });
+});
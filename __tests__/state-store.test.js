@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { StateStore } = require('../lib/state-store');
+
+describe('StateStore', () => {
+  let tmpDir;
+  let statePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-langfuse-state-'));
+    statePath = path.join(tmpDir, 'nested', 'state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('starts empty when no state file exists', () => {
+    const store = new StateStore(statePath).load();
+
+    expect(store.get('/some/file.jsonl')).toBeUndefined();
+  });
+
+  test('round-trips offsets through save and load', () => {
+    const store = new StateStore(statePath);
+    store.update('/a.jsonl', { offset: 42, lastUuid: 'uuid-1' });
+    store.save();
+
+    const reloaded = new StateStore(statePath).load();
+    expect(reloaded.get('/a.jsonl')).toMatchObject({ offset: 42, lastUuid: 'uuid-1' });
+    expect(reloaded.get('/a.jsonl').updatedAt).toBeDefined();
+  });
+
+  test('merges fields on update', () => {
+    const store = new StateStore(statePath);
+    store.update('/a.jsonl', { offset: 10, lastUuid: 'uuid-1' });
+    store.update('/a.jsonl', { offset: 20 });
+
+    expect(store.get('/a.jsonl')).toMatchObject({ offset: 20, lastUuid: 'uuid-1' });
+  });
+
+  test('saves a snapshot instead of the live offsets', () => {
+    const store = new StateStore(statePath);
+    store.update('/a.jsonl', { offset: 10 });
+    const checkpoint = store.snapshot();
+    store.update('/a.jsonl', { offset: 99 });
+
+    store.save(checkpoint);
+
+    expect(new StateStore(statePath).load().get('/a.jsonl').offset).toBe(10);
+  });
+
+  test('keeps saving the last saved state of held files', () => {
+    const store = new StateStore(statePath);
+    store.update('/a.jsonl', { offset: 10 });
+    store.update('/b.jsonl', { offset: 10 });
+    store.save();
+
+    store.update('/a.jsonl', { offset: 20 });
+    store.update('/b.jsonl', { offset: 20 });
+    store.update('/c.jsonl', { offset: 20 });
+    store.hold(['/a.jsonl', '/c.jsonl']);
+    store.save();
+    store.update('/a.jsonl', { offset: 30 });
+    store.save();
+
+    const reloaded = new StateStore(statePath).load();
+    expect(reloaded.get('/a.jsonl').offset).toBe(10);
+    expect(reloaded.get('/b.jsonl').offset).toBe(20);
+    expect(reloaded.get('/c.jsonl')).toBeUndefined();
+  });
+
+  test('skips the write when nothing changed', () => {
+    const store = new StateStore(statePath);
+    store.update('/a.jsonl', { offset: 1 });
+    expect(store.save()).toBe(true);
+    const written = fs.statSync(statePath).mtimeMs;
+    fs.utimesSync(statePath, new Date(0), new Date(0));
+
+    expect(store.save()).toBe(false);
+    expect(new StateStore(statePath).load().save()).toBe(false);
+    expect(fs.statSync(statePath).mtimeMs).not.toBe(written);
+
+    store.update('/a.jsonl', { offset: 2 });
+    expect(store.save()).toBe(true);
+  });
+
+  test('leaves no temporary files behind', () => {
+    const store = new StateStore(statePath);
+    store.update('/a.jsonl', { offset: 1 });
+    store.save();
+
+    expect(fs.readdirSync(path.dirname(statePath))).toEqual(['state.json']);
+  });
+
+  test('discards a corrupt state file', () => {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, '{not json');
+
+    const store = new StateStore(statePath).load();
+
+    expect(store.files).toEqual({});
+    expect(store.loadError).toBeInstanceOf(SyntaxError);
+  });
+
+  test('ignores state written by an unknown version', () => {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify({ version: 99, files: { '/a.jsonl': { offset: 5 } } }));
+
+    expect(new StateStore(statePath).load().get('/a.jsonl')).toBeUndefined();
+  });
+
+  test('deletes entries', () => {
+    const store = new StateStore(statePath);
+    store.update('/a.jsonl', { offset: 1 });
+    store.delete('/a.jsonl');
+
+    expect(store.get('/a.jsonl')).toBeUndefined();
+  });
+
+  test('stops holding deleted entries', () => {
+    const store = new StateStore(statePath);
+    store.update('/a.jsonl', { offset: 1 });
+    store.save();
+    store.hold(['/a.jsonl']);
+
+    store.delete('/a.jsonl');
+    store.save();
+
+    expect(new StateStore(statePath).load().get('/a.jsonl')).toBeUndefined();
+  });
+
+  test('prunes entries whose transcripts no longer exist', () => {
+    const existing = path.join(tmpDir, 'existing.jsonl');
+    fs.writeFileSync(existing, '');
+    const store = new StateStore(statePath);
+    store.update(existing, { offset: 1 });
+    store.update(path.join(tmpDir, 'gone.jsonl'), { offset: 1 });
+    store.update(path.join(tmpDir, 'elsewhere.jsonl'), { offset: 1 });
+
+    expect(store.prune([existing, path.join(tmpDir, 'gone.jsonl')])).toBe(1);
+    expect(Object.keys(store.files)).toEqual([existing, path.join(tmpDir, 'elsewhere.jsonl')]);
+    expect(store.prune()).toBe(1);
+    expect(Object.keys(store.files)).toEqual([existing]);
+  });
+});
@@ -7,9 +7,21 @@
  * Works just like Claude Analytics - no setup required!
  */
 
-const { program } = require('commander');
+const { program, Option } = require('commander');
 const chalk = require('chalk');
 const { Monitor } = require('../index');
+const {
+  getConfigPath, readConfigFile, writeConfigFile, validateConfig, flattenConfig, resolveConfig,
+  getConfigValue, setConfigValue, unsetConfigValue, formatConfigValue
+} = require('../lib/config');
+const { LEVELS, FORMATS } = require('../lib/logger');
+const { expandHome } = require('../lib/paths');
+const {
+  DAEMON_ENV, getDaemonLogPath, getDaemonErrorLogPath, findRunning, spawnDaemon, waitForLock, stopProcess, readLastLines, followFile
+} = require('../lib/daemon');
+
+const collect = (value, previous) => previous.concat([value]);
+const defined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
 
 program
   .name('claude-langfuse')
@@ -19,20 +31,57 @@ program
 program
   .command('start')
   .description('Start monitoring Claude Code activity')
-  .option('-d, --daemon', 'Run as background daemon')
+  .option('-d, --daemon', 'Run in the background, logging to ~/.claude-langfuse/monitor.log')
   .option('-h, --history <hours>', 'Process last N hours of history', '24')
   .option('-q, --quiet', 'Quiet mode - only show summaries, not individual messages')
+  .option('--include <glob>', 'Only track projects matching this glob (repeatable, prefix remote: to match the git remote)', collect, [])
+  .option('--exclude <glob>', 'Never track projects matching this glob (repeatable, prefix remote: to match the git remote)', collect, [])
+  .option('--dry-run', 'Print the batches that would be sent instead of sending them (progress is not saved)')
+  .option('-o, --output <file>', 'With --dry-run, append each batch to this file as one JSON line')
+  .option('--max-memory <mb>', 'Exit for the service manager to restart when the heap stays above this many MB')
+  .option('--host <url>', 'Langfuse host, overriding config.json and LANGFUSE_BASE_URL / LANGFUSE_HOST')
+  .option('--user-id <userId>', 'user id to use in the trace, overriding config.json')
+  .addOption(new Option('--log-level <level>', 'Log this level and above, overriding config.json').choices(LEVELS))
+  .addOption(new Option('--log-format <format>', 'Log as emoji text or one JSON object per line').choices(FORMATS))
+  .option('--log-file <file>', 'Write the log to this file, rotated by size and age, instead of the terminal')
   .action(async (options) => {
-    console.log(chalk.cyan('🔍 Claude Langfuse Monitor'));
-    console.log(chalk.cyan('='.repeat(50)));
+    // A detached monitor has no one to greet
+    if (!process.env[DAEMON_ENV]) {
+      console.log(chalk.cyan('🔍 Claude Langfuse Monitor'));
+      console.log(chalk.cyan('='.repeat(50)));
+    }
+    if (options.dryRun) {
+      console.log(chalk.yellow('🧪 Dry run - nothing will be sent'));
+    }
 
-    const monitor = new Monitor({
-      historyHours: parseInt(options.history),
-      daemon: options.daemon,
-      quiet: options.quiet
-    });
+    // The detached monitor runs this same command line with DAEMON_ENV set
+    if (options.daemon && !process.env[DAEMON_ENV]) {
+      if (options.dryRun) {
+        console.error(chalk.red('❌ --dry-run prints to the terminal and cannot run with --daemon'));
+        process.exit(1);
+      }
+      await startDaemon(process.argv.slice(1));
+      return;
+    }
 
+    // The constructor throws on an invalid config.json
     try {
+      const monitor = new Monitor({
+        historyHours: parseInt(options.history),
+        daemon: options.daemon,
+        dryRun: options.dryRun,
+        previewFile: options.output,
+        quiet: options.quiet,
+        include: options.include,
+        exclude: options.exclude,
+        maxMemoryMb: options.maxMemory ? parseInt(options.maxMemory) : 0,
+        config: {
+          host: options.host,
+          userId: options.userId,
+          log: defined({ level: options.logLevel, format: options.logFormat, file: options.logFile })
+        }
+      });
+
       await monitor.start();
     } catch (error) {
       console.error(chalk.red(`❌ Error: ${error.message}`));
@@ -40,53 +89,477 @@ program
     }
   });
 
+/**
+ * Start `argv` as a detached monitor and wait until it holds the lock,
+ * exiting non-zero with the end of its log when it does not start.
+ */
+async function startDaemon(argv) {
+  const running = findRunning();
+  if (running) {
+    console.error(chalk.red(`❌ Monitor already running (pid ${running.pid})`));
+    process.exit(1);
+  }
+
+  const errorLogFile = getDaemonErrorLogPath();
+  const child = spawnDaemon(argv, errorLogFile);
+  const { started, code } = await waitForLock(child);
+
+  if (!started) {
+    if (code === null) {
+      console.error(chalk.yellow(`⚠️  Monitor (pid ${child.pid}) has not started watching yet - check: claude-langfuse logs`));
+    } else {
+      console.error(chalk.red(`❌ Monitor exited during startup (code ${code})`));
+      for (const line of readLastLines(errorLogFile, 10)) {
+        console.error(chalk.gray(`   ${line}`));
+      }
+    }
+    process.exit(1);
+  }
+
+  console.log(chalk.green(`✅ Monitor started in the background (pid ${child.pid})`));
+  console.log(chalk.gray(`   Logs: ${daemonLogFiles(findRunning())[0]}`));
+  console.log(chalk.gray('   Stop: claude-langfuse stop'));
+}
+
+/**
+ * Where a --daemon monitor logs: the file it recorded in the lock, or for
+ * one that is not running config.json's `log.file` or the default, then
+ * the file catching everything written outside the logger.
+ */
+function daemonLogFiles(running) {
+  let logFile = running && running.logFile;
+  if (!logFile) {
+    const { log = {} } = resolveConfig().config;
+    logFile = log.file ? expandHome(log.file) : getDaemonLogPath();
+  }
+  return [logFile, getDaemonErrorLogPath()];
+}
+
+/**
+ * Stop a monitor found through its lock, waiting for its last flush.
+ */
+async function stopMonitor(running, timeoutSeconds) {
+  console.log(chalk.yellow(`🛑 Stopping monitor (pid ${running.pid})...`));
+  const stopped = await stopProcess(running.pid, { timeoutMs: parseInt(timeoutSeconds) * 1000 });
+
+  if (!stopped) {
+    console.error(chalk.red(`❌ Monitor still running after ${timeoutSeconds}s`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✅ Monitor stopped'));
+}
+
+/**
+ * Whether `stop`, `restart` and `logs` should go through the service
+ * manager: a service is installed and no `--daemon` monitor is running.
+ */
+function usesService(running, installer) {
+  return !(running && running.daemon) && installer.getServiceStatus().installed;
+}
+
+program
+  .command('stop')
+  .description('Stop the running monitor, started with --daemon or as a service')
+  .option('-t, --timeout <seconds>', 'How long to wait for the last flush', '30')
+  .action(async (options) => {
+    const installer = require('../scripts/install-service');
+    const running = findRunning();
+
+    if (usesService(running, installer) && installer.getServiceStatus().running) {
+      try {
+        installer.stopService();
+      } catch (error) {
+        console.error(chalk.red(`❌ Could not stop the service: ${error.message}`));
+        process.exit(1);
+      }
+      console.log(chalk.green('✅ Service stopped'));
+      console.log(chalk.gray('   It starts again at next login - to remove it: claude-langfuse uninstall-service'));
+      return;
+    }
+
+    if (!running) {
+      console.log(chalk.yellow('⚠️  Monitor is not running'));
+      return;
+    }
+    await stopMonitor(running, options.timeout);
+  });
+
+program
+  .command('restart')
+  .description('Restart the monitor, started with --daemon or as a service')
+  .option('-t, --timeout <seconds>', 'How long to wait for the last flush', '30')
+  .action(async (options) => {
+    const installer = require('../scripts/install-service');
+    const running = findRunning();
+
+    if (usesService(running, installer)) {
+      try {
+        installer.restartService();
+      } catch (error) {
+        console.error(chalk.red(`❌ Could not restart the service: ${error.message}`));
+        process.exit(1);
+      }
+      console.log(chalk.green('✅ Service restarted'));
+      return;
+    }
+
+    if (running && !running.daemon) {
+      console.error(chalk.red(`❌ Monitor (pid ${running.pid}) runs in a terminal - restart it there`));
+      process.exit(1);
+    }
+
+    if (running) {
+      await stopMonitor(running, options.timeout);
+    } else {
+      console.log(chalk.gray('ℹ️  Monitor was not running - starting it'));
+    }
+    // Restart with the command line the monitor was started with
+    await startDaemon(running ? running.argv : [process.argv[1], 'start', '--daemon']);
+  });
+
 program
+  .command('logs')
+  .description('Show the log of the --daemon monitor or the installed service')
+  .option('-n, --lines <count>', 'Number of lines to show', '50')
+  .option('-f, --follow', 'Keep printing lines as they are written')
+  .action((options) => {
+    const fs = require('fs');
+    const installer = require('../scripts/install-service');
+    const lines = parseInt(options.lines);
+    const running = findRunning();
+    let files = daemonLogFiles(running);
+
+    if (usesService(running, installer)) {
+      const logs = installer.getServiceLogs();
+      if (logs.unit) {
+        const { spawn } = require('child_process');
+        const args = ['--user', '-u', logs.unit, '-n', String(lines), ...(options.follow ? ['-f'] : [])];
+        spawn('journalctl', args, { stdio: 'inherit' })
+          .on('error', (error) => {
+            console.error(chalk.red(`❌ Could not run journalctl: ${error.message}`));
+            process.exit(1);
+          })
+          .on('exit', (code) => process.exit(code || 0));
+        return;
+      }
+      files = logs.files;
+    }
+
+    files = files.filter(file => fs.existsSync(file));
+    if (files.length === 0) {
+      console.log(chalk.yellow('⚠️  No logs yet'));
+      console.log(chalk.gray('   The monitor logs to a file when started with --daemon or as a service'));
+      return;
+    }
+
+    // An error log that was never written to is not worth a heading
+    const shown = files.filter(file => fs.statSync(file).size > 0);
+    for (const file of shown) {
+      if (shown.length > 1) {
+        console.log(chalk.cyan(`==> ${file} <==`));
+      }
+      for (const line of readLastLines(file, lines)) {
+        console.log(line);
+      }
+    }
+
+    if (options.follow) {
+      for (const file of files) {
+        followFile(file, data => process.stdout.write(data));
+      }
+    }
+  });
+
+/**
+ * Read config.json, change it and write it back, exiting non-zero with
+ * the problem when the change is rejected.
+ */
+function editConfig(change) {
+  try {
+    writeConfigFile(change(readConfigFile()));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✅ Configuration saved'));
+  console.log(chalk.gray(`   Config file: ${getConfigPath()}`));
+}
+
+const configCommand = program
   .command('config')
-  .description('Configure Langfuse connection')
-  .option('--host <url>', 'Langfuse host URL', 'http://localhost:3001')
+  .description('Configure Langfuse connection (changes only the given settings)')
+  .option('--host <url>', 'Langfuse host URL (default http://localhost:3001)')
   .option('--public-key <key>', 'Langfuse public key')
   .option('--secret-key <key>', 'Langfuse secret key')
   .option('--user-id <userId>', 'user id to use in the trace')
   .action((options) => {
-    const fs = require('fs');
-    const path = require('path');
-    const os = require('os');
+    const flags = { host: options.host, publicKey: options.publicKey, secretKey: options.secretKey, userId: options.userId };
 
-    const configDir = path.join(os.homedir(), '.claude-langfuse');
-    const configFile = path.join(configDir, 'config.json');
-
-    // Create config directory if needed
-    if (!fs.existsSync(configDir)) {
-      fs.mkdirSync(configDir, { recursive: true });
+    if (Object.values(flags).every(value => value === undefined)) {
+      configCommand.outputHelp();
+      return;
     }
 
-    // Save configuration
-    const config = {
-      host: options.host,
-      publicKey: options.publicKey,
-      secretKey: options.secretKey,
-      userId: options.userId
-    };
+    editConfig(config => {
+      if (!config.host && !flags.host) {
+        flags.host = 'http://localhost:3001';
+      }
+      for (const [key, value] of Object.entries(flags)) {
+        if (value !== undefined) {
+          config = setConfigValue(config, key, [value]);
+        }
+      }
+      return config;
+    });
+  });
+
+configCommand
+  .command('set')
+  .description('Set one setting, e.g. `config set projects.exclude "~/client/**"`')
+  .argument('<key>', 'Dotted key, e.g. host or batch.maxEvents')
+  .argument('<value...>', 'Value; lists take several, sections and rules take JSON')
+  .action((key, values) => {
+    editConfig(config => setConfigValue(config, key, values));
+  });
+
+configCommand
+  .command('unset')
+  .description('Remove one setting so its default applies')
+  .argument('<key>', 'Dotted key, e.g. userId or memory.maxMb')
+  .action((key) => {
+    editConfig(config => unsetConfigValue(config, key));
+  });
 
-    fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
-    console.log(chalk.green('✅ Configuration saved'));
-    console.log(chalk.gray(`   Config file: ${configFile}`));
+configCommand
+  .command('get')
+  .description('Print one setting (secrets are masked)')
+  .argument('<key>', 'Dotted key, e.g. host or projects.include')
+  .action((key) => {
+    try {
+      const value = getConfigValue(readConfigFile(), key);
+      if (value === undefined) {
+        console.error(chalk.yellow(`⚠️  ${key} is not set`));
+        process.exit(1);
+      }
+      console.log(formatConfigValue(key, value));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('list')
+  .description('Print every setting in config.json (secrets are masked)')
+  .option('--resolved', 'Print the effective settings after .env and environment variables, with where each came from')
+  .action((options) => {
+    try {
+      let config;
+      if (options.resolved) {
+        const resolved = resolveConfig();
+        config = resolved.config;
+        for (const [key, value] of flattenConfig(config)) {
+          console.log(`${key} = ${formatConfigValue(key, value)}  ${chalk.gray(`(${resolved.sources[key]})`)}`);
+        }
+      } else {
+        config = readConfigFile();
+        console.log(chalk.gray(`# ${getConfigPath()}`));
+        for (const [key, value] of flattenConfig(config)) {
+          console.log(`${key} = ${formatConfigValue(key, value)}`);
+        }
+      }
+      for (const problem of validateConfig(config)) {
+        console.log(chalk.yellow(`⚠️  ${problem}`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
   });
 
 program
   .command('status')
   .description('Check monitor status and connection')
-  .action(async () => {
+  .option('--host <url>', 'Langfuse host, overriding config.json and LANGFUSE_BASE_URL / LANGFUSE_HOST')
+  .action(async (options) => {
+    const monitor = new Monitor({ dryRun: true, config: { host: options.host } });
+    const ok = await monitor.checkStatus();
+    if (!ok) {
+      process.exit(1);
+    }
+  });
+
+program
+  .command('doctor')
+  .description('Run end-to-end diagnostics and print a report to paste into a bug ticket')
+  .option('--no-send', 'Skip sending a test trace to the destination')
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    const { runDoctor, formatReport, hasFailures } = require('../lib/doctor');
+
+    if (options.send) {
+      console.error(chalk.gray('🩺 Running diagnostics (sends one test trace tagged "doctor")...'));
+    }
+
+    const report = await runDoctor(() => new Monitor({ exportOnly: true, quiet: true }), { send: options.send });
+    process.stdout.write(options.json ? `${JSON.stringify(report, null, 2)}\n` : formatReport(report));
+
+    if (hasFailures(report)) {
+      process.exit(1);
+    }
+  });
+
+program
+  .command('spool')
+  .description('Inspect, retry or purge events waiting to be resent to Langfuse')
+  .argument('[action]', 'list, retry or purge', 'list')
+  .action(async (action) => {
+    const path = require('path');
+    const { MAX_ATTEMPTS } = require('../lib/spool');
+
+    if (action === 'purge') {
+      const monitor = new Monitor({ dryRun: true });
+      const count = monitor.spool.purge();
+      console.log(chalk.green(`✅ Purged ${count} spooled batches`));
+      return;
+    }
+
+    if (action === 'retry') {
+      const monitor = new Monitor();
+      const { sent, failed } = await monitor.retrySpool({ force: true });
+      console.log(chalk.green(`✅ Resent ${sent} events`));
+      if (failed > 0) {
+        console.log(chalk.yellow(`⚠️  ${failed} events still failing - kept in spool`));
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (action !== 'list') {
+      console.error(chalk.red(`❌ Unknown spool action: ${action} (expected list, retry or purge)`));
+      process.exit(1);
+    }
+
     const monitor = new Monitor({ dryRun: true });
-    await monitor.checkStatus();
+    const entries = monitor.spool.list();
+
+    console.log(chalk.cyan('📦 Spooled Events'));
+    console.log(chalk.cyan('='.repeat(50)));
+
+    if (entries.length === 0) {
+      console.log(chalk.green('✅ Spool is empty'));
+      return;
+    }
+
+    for (const entry of entries) {
+      const next = entry.attempts >= MAX_ATTEMPTS
+        ? chalk.red('gave up - run `spool retry`')
+        : `next ${entry.nextAttemptAt}`;
+      const profile = entry.profile ? `  profile ${entry.profile}` : '';
+      console.log(`${path.basename(entry.file)}  ${entry.events.length} events${profile}  attempt ${entry.attempts}  ${next}`);
+      if (entry.lastError) {
+        console.log(chalk.gray(`   ${entry.lastError}`));
+      }
+    }
+
+    const total = entries.reduce((sum, entry) => sum + entry.events.length, 0);
+    console.log(chalk.gray(`\n   ${total} events in ${entries.length} batches: ${monitor.spool.dir}`));
+  });
+
+program
+  .command('preview')
+  .description('Show exactly what would be sent for one transcript, after redaction and project filters')
+  .argument('<transcript>', 'Path to a Claude Code transcript (.jsonl)')
+  .option('--include <glob>', 'Only track projects matching this glob (repeatable)', collect, [])
+  .option('--exclude <glob>', 'Never track projects matching this glob (repeatable)', collect, [])
+  .option('-o, --output <file>', 'Write the payload to a file instead of stdout')
+  .action((transcript, options) => {
+    const fs = require('fs');
+    const path = require('path');
+
+    try {
+      const filepath = path.resolve(transcript);
+      if (!fs.existsSync(filepath)) {
+        throw new Error(`Transcript not found: ${filepath}`);
+      }
+
+      const monitor = new Monitor({
+        dryRun: true,
+        exportOnly: true,
+        quiet: true,
+        include: options.include,
+        exclude: options.exclude
+      });
+      const preview = monitor.previewTranscript(filepath);
+
+      // The summary goes to stderr so stdout is only the payload
+      console.error(chalk.cyan(`📄 ${filepath}`));
+      console.error(chalk.gray(`   Project: ${preview.projectPath}`));
+      if (!preview.tracked) {
+        console.error(chalk.yellow(`   ✗ Not tracked (${preview.reason}) - nothing would be sent`));
+        return;
+      }
+      console.error(chalk.gray(`   ✓ Tracked${preview.reason ? ` (${preview.reason})` : ''}`));
+      const { createSink } = require('../lib/sinks');
+      const sink = createSink(monitor.profiles.get(preview.profile));
+      const destination = preview.routeReason ? `${sink.name}, profile ${preview.profile} (${preview.routeReason})` : sink.name;
+      console.error(chalk.gray(`   ${preview.events.length} events for ${destination}, ${preview.redactions} redactions`));
+
+      const payload = JSON.stringify(sink.payload(preview.events), null, 2);
+      if (options.output) {
+        fs.writeFileSync(options.output, `${payload}\n`);
+        console.error(chalk.green(`✅ Payload written to ${options.output}`));
+      } else {
+        process.stdout.write(`${payload}\n`);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('export')
+  .description('Export traces built from Claude Code transcripts without sending them')
+  .option('--since <time>', 'Only activity after this ISO date or duration ago (e.g. 7d, 12h)')
+  .option('--until <time>', 'Only activity before this ISO date or duration ago')
+  .option('--project <glob>', 'Only projects matching this glob (repeatable, prefix remote: to match the git remote)', collect, [])
+  .option('--format <format>', 'ndjson or csv', 'ndjson')
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .action((options) => {
+    const fs = require('fs');
+    const { FORMATS, parseTime, filterByTime, formatEvents } = require('../lib/export');
+
+    try {
+      if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected one of: ${FORMATS.join(', ')})`);
+      }
+      const since = options.since ? parseTime(options.since) : undefined;
+      const until = options.until ? parseTime(options.until) : undefined;
+
+      const monitor = new Monitor({ exportOnly: true, quiet: true, include: options.project });
+      const events = filterByTime(monitor.exportEvents({ since }), { since, until });
+      const output = formatEvents(events, options.format);
+
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.error(chalk.green(`✅ Exported ${events.length} events to ${options.output}`));
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Error: ${error.message}`));
+      process.exit(1);
+    }
   });
 
 program
   .command('install-service')
-  .description('Install as system service (launchd on macOS)')
-  .action(async () => {
+  .description('Install as system service (launchd on macOS, systemd user unit on Linux)')
+  .option('--log-target <target>', 'Linux only: send service output to journal or file', 'journal')
+  .action(async (options) => {
     const installer = require('../scripts/install-service');
-    await installer.install();
+    await installer.install({ logTarget: options.logTarget });
   });
 
 program
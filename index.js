@@ -12,8 +12,59 @@ const path = require('path');
 const os = require('os');
 const chokidar = require('chokidar');
 const chalk = require('chalk');
-const { LangfuseClient } = require('@langfuse/client');
 const crypto = require('crypto');
+const { StateStore } = require('./lib/state-store');
+const { extractUsage, resolvePrice, calculateCost } = require('./lib/pricing');
+const { Spool } = require('./lib/spool');
+const { Redactor } = require('./lib/redaction');
+const { ProjectFilter, ProjectRouter } = require('./lib/filters');
+const { ProjectResolver, naiveDecode, findTranscriptCwd } = require('./lib/project-path');
+const { createSink } = require('./lib/sinks');
+const { BATCH_DEFAULTS, splitBatch } = require('./lib/batch');
+const {
+  DESTINATION_KEYS,
+  DEFAULT_PROFILE,
+  getConfigPath,
+  getDotenvPath,
+  resolveConfig,
+  validateConfig,
+  resolveProfile,
+  listProfiles,
+  describeChanges
+} = require('./lib/config');
+const { getServiceStatus } = require('./scripts/install-service');
+const { PidLock, findRunning, getDaemonLogPath } = require('./lib/daemon');
+const { Logger } = require('./lib/logger');
+
+const SPOOL_RETRY_INTERVAL_MS = 30 * 1000;
+const MEMORY_CHECK_INTERVAL_MS = 60 * 1000;
+
+// How long a stopping monitor waits for its last flush before writing
+// what is left to the spool (config.json `shutdownTimeoutSeconds`)
+const SHUTDOWN_TIMEOUT_SECONDS = 10;
+
+// Transcripts are read in chunks of this size, never whole
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+// Bounds on what a long-running monitor keeps in memory; config.json
+// `memory` overrides them
+const MEMORY_DEFAULTS = {
+  // Drop a conversation's caches once it has written nothing for this long
+  idleMinutes: 30,
+  // Send a tool call without its result after waiting this long
+  toolSpanMinutes: 10,
+  // Beyond this many waiting tool calls, the oldest are sent without a result
+  maxToolSpans: 1000,
+  // Restart when the heap stays above this many MB (0 = no limit)
+  maxMb: 0
+};
+
+// Config keys that select or authenticate a destination; changing any of
+// them rebuilds the sinks
+const SINK_CONFIG_KEYS = [...DESTINATION_KEYS, 'profiles'];
+
+// Tools that hand work to a subagent running on a sidechain
+const SUBAGENT_TOOLS = ['Task', 'Agent'];
 
 class Monitor {
   constructor(options = {}) {
@@ -21,43 +72,189 @@ class Monitor {
       historyHours: options.historyHours || 24,
       daemon: options.daemon || false,
       dryRun: options.dryRun || false,
-      quiet: options.quiet || false
+      quiet: options.quiet || false,
+      exportOnly: options.exportOnly || false,
+      previewFile: options.previewFile || null,
+      include: options.include || [],
+      exclude: options.exclude || [],
+      maxMemoryMb: options.maxMemoryMb || 0,
+      // Top-level settings given on the command line, e.g. `--host`
+      config: options.config || {}
     };
 
     this.processedMessages = new Set();
     this.conversationSessions = new Map();
     this.pendingToolSpans = new Map();
+    this.assistantResponses = new Map();
     this.messageCount = { user: 0, assistant: 0 };
+    this.projectResolver = new ProjectResolver();
 
-    // Load configuration
-    this.config = this.loadConfig();
+    // parentUuid chain and the turn (human prompt) each entry belongs to
+    this.parentUuids = new Map();
+    this.turns = new Map();
+    this.currentTurns = new Map();
+
+    // When each prompt or tool result was written, to time the response to it
+    this.requestTimes = new Map();
+
+    // Subagent tool calls waiting for their sidechain to start or finish
+    this.taskCalls = new Map();
+
+    // What each conversation added to the caches above, so they can be
+    // dropped once it goes idle
+    this.conversations = new Map();
+
+    // Per-transcript read offsets, persisted across restarts. An export
+    // reads every transcript from the start and never saves them.
+    this.stateStore = this.options.exportOnly ? new StateStore() : new StateStore().load();
+
+    this.overMemoryLimit = false;
+
+    // Batches the sink did not accept, retried from disk
+    this.spool = new Spool();
+    this.retryingSpool = false;
 
-    // Initialize Langfuse client
     this.pendingEvents = [];
-    if (!this.options.dryRun) {
-      this.langfuse = new LangfuseClient({
-        publicKey: this.config.publicKey,
-        secretKey: this.config.secretKey,
-        baseUrl: this.config.host
-      });
+    // The profile each queued event is routed to, when not the default
+    this.eventProfiles = new WeakMap();
+    // The transcript each queued event was read from
+    this.eventFiles = new WeakMap();
+    this.reportedSkips = new Set();
+    this.flushing = null;
+    this.nextFlush = null;
+    this.unsentBatches = [];
+    this.flushTimer = null;
+    // Single-instance lock, taken by start()
+    this.lock = null;
+
+    this.applyConfig(this.loadConfig());
+  }
+
+  /**
+   * Build everything that depends on config.json. Used at startup and
+   * again when the config is reloaded, when the sinks are only rebuilt if
+   * their settings differ from `previous`.
+   */
+  applyConfig(config, previous = null) {
+    // Logging follows the `log` section. A --daemon monitor has no
+    // terminal, so it logs to a file unless config.json names one
+    if (!previous || JSON.stringify(previous.log) !== JSON.stringify(config.log)) {
+      const log = { ...config.log };
+      if (!log.file && this.options.daemon) {
+        log.file = getDaemonLogPath();
+      }
+      this.logger = new Logger(log);
+    }
+
+    this.config = config;
+    this.memory = { ...MEMORY_DEFAULTS, ...config.memory };
+    if (this.options.maxMemoryMb) {
+      this.memory.maxMb = this.options.maxMemoryMb;
+    }
+    this.batch = { ...BATCH_DEFAULTS, ...config.batch };
+    this.shutdownTimeoutSeconds = config.shutdownTimeoutSeconds || SHUTDOWN_TIMEOUT_SECONDS;
+
+    // Secrets and PII are scrubbed from every event before it is queued
+    this.redactor = new Redactor(config.redaction);
+
+    // Include/exclude rules from config.json plus any given on the command line
+    const projects = config.projects || {};
+    this.projectFilter = new ProjectFilter({
+      include: [...(projects.include || []), ...this.options.include],
+      exclude: [...(projects.exclude || []), ...this.options.exclude]
+    });
+
+    // Projects matching a route go to that profile's destination, the
+    // rest to the top-level one
+    this.projectRouter = new ProjectRouter(config.routes);
+    this.profiles = new Map(listProfiles(config).map(name => [name, resolveProfile(config, name)]));
+
+    // Langfuse unless config.json selects another sink, with one sink per
+    // profile; exports only collect the events and dry runs print them.
+    // Rebuilding the sinks picks up new keys or hosts; in-flight sends
+    // finish on the old ones.
+    const sinkChanged = !previous ||
+      SINK_CONFIG_KEYS.some(key => JSON.stringify(previous[key]) !== JSON.stringify(config[key]));
+    if (sinkChanged) {
+      if (!this.options.dryRun && !this.options.exportOnly) {
+        this.sink = createSink(config);
+        this.profileSinks = new Map([...this.profiles]
+          .filter(([name]) => name !== DEFAULT_PROFILE)
+          .map(([name, profile]) => [name, createSink(profile)]));
+      }
+      this.previewSinks = new Map();
+    }
+
+    if (this.flushTimer) {
+      this.startFlushTimer();
     }
   }
 
-  loadConfig() {
-    // Try to load from config file
-    const configFile = path.join(os.homedir(), '.claude-langfuse', 'config.json');
+  /**
+   * Re-read config.json, on SIGHUP or when the file changes, and switch to
+   * it in place. A config that cannot be read or fails validation is
+   * reported and the current one kept. Returns whether the running config
+   * is now the one on disk.
+   */
+  reloadConfig() {
+    const previous = this.config;
+    let config;
+
+    try {
+      config = this.loadConfig();
+      const problems = validateConfig(config, { requireCredentials: Boolean(this.sink) });
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+    } catch (error) {
+      this.logger.error(chalk.red(`❌ Invalid config, keeping the current one: ${error.message}`));
+      return false;
+    }
 
-    if (fs.existsSync(configFile)) {
-      const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-      return config;
+    const changes = describeChanges(previous, config);
+    if (changes.length === 0) {
+      return true;
     }
 
-    // Fall back to environment variables
-    return {
-      host: process.env.LANGFUSE_HOST || 'http://localhost:3001',
-      publicKey: process.env.LANGFUSE_PUBLIC_KEY || '',
-      secretKey: process.env.LANGFUSE_SECRET_KEY || ''
-    };
+    try {
+      this.applyConfig(config, previous);
+    } catch (error) {
+      this.applyConfig(previous);
+      this.logger.error(chalk.red(`❌ Could not apply config, keeping the current one: ${error.message}`));
+      return false;
+    }
+
+    this.logger.info(chalk.green('🔄 Config reloaded'), { details: changes });
+    return true;
+  }
+
+  /**
+   * Send whatever a quiet session queued without waiting for more, every
+   * `batch.flushIntervalSeconds`. Restarted when the interval changes.
+   */
+  startFlushTimer() {
+    this.stopFlushTimer();
+    this.flushTimer = setInterval(() => {
+      if (this.pendingEvents.length > 0 || this.pendingToolSpans.size > 0) {
+        this.flushPendingEvents().catch(error => {
+          this.logger.error(chalk.red(`Error flushing events: ${error.message}`));
+        });
+      }
+    }, this.batch.flushIntervalSeconds * 1000);
+    this.flushTimer.unref();
+  }
+
+  stopFlushTimer() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  /**
+   * config.json merged with the .env file, `LANGFUSE_*` environment
+   * variables and command-line settings, in increasing precedence.
+   */
+  loadConfig() {
+    return resolveConfig({ flags: this.options.config }).config;
   }
 
   getClaudeProjectsDir() {
@@ -71,7 +268,27 @@ class Monitor {
   }
 
   async start() {
-    console.log(chalk.gray(`📁 Claude projects: ${this.getClaudeProjectsDir()}`));
+    this.logger.info(chalk.gray(`📁 Claude projects: ${this.getClaudeProjectsDir()}`));
+
+    // Find out now rather than at the first batch that --output is unusable
+    if (this.options.dryRun && this.options.previewFile) {
+      try {
+        fs.appendFileSync(this.options.previewFile, '');
+      } catch (error) {
+        throw new Error(`Cannot write to ${this.options.previewFile}: ${error.message}`);
+      }
+    }
+
+    // One monitor at a time - two would send every event twice. A dry run
+    // sends nothing and saves no progress, so it may run alongside
+    if (!this.options.dryRun) {
+      this.lock = new PidLock();
+      this.lock.acquire({ daemon: this.options.daemon, logFile: this.logger.file ? this.logger.file.filepath : undefined });
+      process.on('exit', () => this.lock.release());
+    }
+
+    // Forget transcripts deleted while the monitor was stopped
+    this.stateStore.prune();
 
     // Process existing history
     if (this.options.historyHours > 0) {
@@ -79,9 +296,13 @@ class Monitor {
     }
 
     // Start watching for new activity
-    console.log(chalk.cyan('\n👀 Watching for new Claude Code activity...'));
-    console.log(chalk.gray(`🔗 Langfuse UI: ${this.config.host}`));
-    console.log(chalk.gray('⏹  Press Ctrl+C to stop\n'));
+    this.logger.info(chalk.cyan('\n👀 Watching for new Claude Code activity...'));
+    this.logger.info(chalk.gray(`🔗 Langfuse UI: ${this.config.host}`));
+    if (this.options.daemon) {
+      this.logger.info(chalk.gray(`⏹  Running in the background (pid ${process.pid}) - stop with: claude-langfuse stop\n`), { pid: process.pid });
+    } else {
+      this.logger.info(chalk.gray('⏹  Press Ctrl+C to stop\n'));
+    }
 
     const watcher = chokidar.watch(
       path.join(this.getClaudeProjectsDir(), '**/*.jsonl'),
@@ -103,15 +324,76 @@ class Monitor {
       this.processConversationFile(filepath);
     });
 
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      console.log(chalk.yellow('\n\n🛑 Stopping monitor...'));
-      await watcher.close();
+    watcher.on('unlink', (filepath) => {
+      this.stateStore.delete(filepath);
+    });
+
+    // Resend spooled batches as their backoff elapses
+    const retrySpool = () => {
+      this.retrySpool().catch(error => {
+        this.logger.error(chalk.red(`Error retrying spool: ${error.message}`));
+      });
+    };
+    retrySpool();
+    const spoolTimer = setInterval(retrySpool, SPOOL_RETRY_INTERVAL_MS);
+    spoolTimer.unref();
+
+    this.startFlushTimer();
+
+    // Pick up `claude-langfuse config` changes without a restart
+    const configWatcher = chokidar.watch([getConfigPath(), getDotenvPath()], {
+      ignoreInitial: true,
+      awaitWriteFinish: {
+        stabilityThreshold: 200,
+        pollInterval: 50
+      }
+    });
+    configWatcher.on('add', () => this.reloadConfig());
+    configWatcher.on('change', () => this.reloadConfig());
+
+    // Exit 0 on a requested stop so the service manager does not restart
+    // the monitor, non-zero when it should (memory limit) or events were lost
+    let stopping = false;
+    const stop = async (exitCode) => {
+      stopping = true;
+      this.stopFlushTimer();
+      clearInterval(spoolTimer);
+      clearInterval(memoryTimer);
+      await Promise.all([watcher.close(), configWatcher.close()]);
+
+      const saved = await this.shutdown();
+      if (this.lock) {
+        this.lock.release();
+      }
 
-      await this.flushPendingEvents();
+      this.logger.info(chalk.green('✅ Monitor stopped'));
+      process.exit(saved ? exitCode : 1);
+    };
+
+    // Drop idle conversations; past the memory limit, exit so the service
+    // manager starts a fresh process (offsets are saved, nothing is lost)
+    const memoryTimer = setInterval(() => {
+      if (!this.checkMemory()) {
+        this.logger.error(chalk.red(`❌ Heap still above the ${this.memory.maxMb} MB limit - restarting`));
+        stop(1);
+      }
+    }, MEMORY_CHECK_INTERVAL_MS);
+    memoryTimer.unref();
+
+    // Ctrl+C, and how launchd and systemd stop a service
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.on(signal, () => {
+        if (stopping) {
+          this.logger.warn(chalk.red(`\n⛔ ${signal} again - exiting without waiting for the last flush`));
+          process.exit(1);
+        }
+        this.logger.info(chalk.yellow(`\n\n🛑 Stopping monitor (${signal})...`), { signal });
+        stop(0);
+      });
+    }
 
-      console.log(chalk.green('✅ Monitor stopped'));
-      process.exit(0);
+    process.on('SIGHUP', () => {
+      this.reloadConfig();
     });
 
     // Keep process alive
@@ -119,11 +401,33 @@ class Monitor {
   }
 
   async processExistingHistory() {
-    console.log(chalk.cyan(`📚 Processing last ${this.options.historyHours} hours...`));
+    this.logger.info(chalk.cyan(`📚 Processing last ${this.options.historyHours} hours...`));
 
-    const projectsDir = this.getClaudeProjectsDir();
     const cutoffTime = Date.now() - (this.options.historyHours * 3600 * 1000);
 
+    const { transcripts: conversations, excluded } = this.findTranscripts((filepath, stat) => {
+      const state = this.stateStore.get(filepath);
+      // Transcripts we were tailing before a restart resume regardless of age
+      return stat.mtimeMs >= cutoffTime || (state && stat.size > state.offset);
+    });
+
+    this.logger.info(chalk.gray(`  Found ${conversations.length} recent conversations${excluded ? ` (${excluded} excluded)` : ''}`));
+
+    for (const filepath of conversations) {
+      this.processConversationFile(filepath);
+    }
+
+    const totalMessages = this.messageCount.user + this.messageCount.assistant;
+    this.logger.info(chalk.green(`✅ Processed ${conversations.length} conversations (${totalMessages} messages: ${this.messageCount.user} user, ${this.messageCount.assistant} assistant)`));
+  }
+
+  /**
+   * Transcripts under ~/.claude/projects accepted by `select(filepath, stat)`
+   * that belong to tracked projects, with the number of excluded ones.
+   * Parent conversations come before subagent transcripts, so Task calls
+   * are known when their sidechains are linked.
+   */
+  findTranscripts(select) {
     const findConversations = (dir) => {
       const results = [];
       const entries = fs.readdirSync(dir, { withFileTypes: true });
@@ -133,72 +437,289 @@ class Monitor {
 
         if (entry.isDirectory()) {
           results.push(...findConversations(fullPath));
-        } else if (entry.name.endsWith('.jsonl')) {
-          const stat = fs.statSync(fullPath);
-          if (stat.mtimeMs >= cutoffTime) {
-            results.push(fullPath);
-          }
+        } else if (entry.name.endsWith('.jsonl') && select(fullPath, fs.statSync(fullPath))) {
+          results.push(fullPath);
         }
       }
 
       return results;
     };
 
-    const conversations = findConversations(projectsDir);
-    console.log(chalk.gray(`  Found ${conversations.length} recent conversations`));
+    const found = findConversations(this.getClaudeProjectsDir());
+    const transcripts = found.filter(filepath => {
+      const transcript = this.parseTranscriptPath(filepath);
+      return transcript && this.projectFilter.isTracked(transcript.projectPath);
+    });
 
-    for (const filepath of conversations) {
+    const isSubagent = filepath => path.basename(filepath).startsWith('agent-');
+    transcripts.sort((a, b) => {
+      return (a.split(path.sep).length - b.split(path.sep).length) || (isSubagent(a) - isSubagent(b));
+    });
+
+    return { transcripts, excluded: found.length - transcripts.length };
+  }
+
+  /**
+   * Build the events for every tracked transcript modified since `since`
+   * without sending them, for `claude-langfuse export`.
+   */
+  exportEvents({ since } = {}) {
+    const { transcripts } = this.findTranscripts((filepath, stat) => !since || stat.mtimeMs >= since.getTime());
+
+    for (const filepath of transcripts) {
       this.processConversationFile(filepath);
     }
+    this.queueUnmatchedToolSpans();
 
-    const totalMessages = this.messageCount.user + this.messageCount.assistant;
-    console.log(chalk.green(`✅ Processed ${conversations.length} conversations (${totalMessages} messages: ${this.messageCount.user} user, ${this.messageCount.assistant} assistant)`));
+    return this.pendingEvents.splice(0);
+  }
+
+  /**
+   * Extract the project and conversation a transcript belongs to from its
+   * location under ~/.claude/projects, or null for files outside it.
+   */
+  parseTranscriptPath(filepath) {
+    const pathParts = filepath.split(path.sep);
+    const projectsIdx = pathParts.indexOf('projects');
+
+    if (projectsIdx === -1 || projectsIdx >= pathParts.length - 2) {
+      return null;
+    }
+
+    const encodedProject = pathParts[projectsIdx + 1];
+    const transcript = {
+      encodedProject,
+      projectPath: this.projectResolver.resolve(encodedProject, filepath),
+      conversationId: path.basename(filepath, '.jsonl'),
+      parentTranscript: null
+    };
+
+    // Subagent transcripts live in <project>/<conversation>/subagents/
+    const subagentsIdx = pathParts.lastIndexOf('subagents');
+    if (subagentsIdx === pathParts.length - 2 && subagentsIdx > projectsIdx + 2) {
+      const conversationDir = pathParts.slice(0, subagentsIdx).join(path.sep);
+      transcript.conversationId = pathParts[subagentsIdx - 1];
+      transcript.parentTranscript = `${conversationDir}.jsonl`;
+    }
+
+    return transcript;
   }
 
-  processConversationFile(filepath) {
+  processConversationFile(filepath, transcript = this.parseTranscriptPath(filepath)) {
     try {
-      // Extract project path from file location
-      const pathParts = filepath.split(path.sep);
-      const projectsIdx = pathParts.indexOf('projects');
+      if (!transcript) {
+        return;
+      }
 
-      if (projectsIdx === -1 || projectsIdx >= pathParts.length - 2) {
+      const decision = this.projectFilter.check(transcript.projectPath);
+      if (!decision.tracked) {
+        // A dry run is an audit: say what was left out and why
+        if (this.options.dryRun && !this.reportedSkips.has(transcript.projectPath)) {
+          this.reportedSkips.add(transcript.projectPath);
+          this.logger.info(chalk.yellow(`⏭  Skipping ${transcript.projectPath} (${decision.reason})`));
+        }
         return;
       }
 
-      const encodedProject = pathParts[projectsIdx + 1];
-      const projectPath = encodedProject.replace(/-/g, '/');
-      const conversationId = path.basename(filepath, '.jsonl');
+      const { encodedProject, projectPath, conversationId, parentTranscript } = transcript;
+
+      // Catch up on the parent conversation first so the Task call that
+      // started this subagent is known before its sidechain is linked
+      if (parentTranscript && fs.existsSync(parentTranscript)) {
+        this.processConversationFile(parentTranscript);
+      }
 
-      // Get or create session ID
+      // Get or create session ID (hashed from the encoded name so ids stay
+      // stable however the project path is resolved)
       if (!this.conversationSessions.has(filepath)) {
-        const sessionData = `${projectPath}:${conversationId}`;
+        const sessionData = `${naiveDecode(encodedProject)}:${conversationId}`;
         const sessionId = crypto.createHash('md5').update(sessionData).digest('hex');
         this.conversationSessions.set(filepath, sessionId);
       }
 
       const sessionId = this.conversationSessions.get(filepath);
+      this.touchConversation(sessionId).filepaths.add(filepath);
 
-      // Read and process messages
-      const content = fs.readFileSync(filepath, 'utf8');
-      const lines = content.split('\n').filter(line => line.trim());
+      // After a restart the earlier part of the chain was not re-read
+      const state = this.stateStore.get(filepath);
+      if (state && state.turnId && !this.currentTurns.has(sessionId)) {
+        this.currentTurns.set(sessionId, state.turnId);
+      }
+      if (state) {
+        this.restorePending(filepath, state, sessionId);
+      }
 
-      for (const line of lines) {
+      // Read and process only the lines appended since the last read. The
+      // response being written when the read stops may get more blocks
+      let lastUuid;
+      let lastMessageId;
+      const { offset, ino } = this.readAppendedLines(filepath, line => {
         try {
           const entry = JSON.parse(line);
-          this.processMessage(entry, sessionId, projectPath, conversationId);
+          this.processMessage(entry, sessionId, projectPath, conversationId, filepath);
+          lastUuid = entry.uuid || lastUuid;
+          if (entry.type === 'assistant') {
+            lastMessageId = (entry.message && entry.message.id) || entry.uuid;
+          } else if (entry.type === 'user') {
+            lastMessageId = null;
+          }
         } catch (e) {
           // Skip invalid JSON lines
         }
+      });
+
+      const turnId = this.currentTurns.get(sessionId);
+      const fields = { offset, ino, ...(lastUuid && { lastUuid }), ...(turnId && { turnId }) };
+      if (lastMessageId !== undefined) {
+        fields.response = lastMessageId ? this.serializeResponse(this.assistantResponses.get(lastMessageId)) : undefined;
       }
+      this.stateStore.update(filepath, fields);
 
     } catch (error) {
-      console.error(chalk.red(`Error processing ${filepath}: ${error.message}`));
+      this.logger.error(chalk.red(`Error processing ${filepath}: ${error.message}`), { file: filepath });
+    }
+  }
+
+  /**
+   * Bring back what a transcript's saved state holds besides its offset:
+   * tool calls still waiting for their result, and the response whose
+   * later blocks may not be written yet. Without them a restart would
+   * lose the tool spans and send the rest of the response as a second
+   * generation, counting its usage twice.
+   */
+  restorePending(filepath, state, sessionId) {
+    const saved = state.response;
+    if (saved && !this.assistantResponses.has(saved.messageId)) {
+      this.assistantResponses.set(saved.messageId, {
+        ...saved,
+        file: filepath,
+        startTime: new Date(saved.startTime),
+        firstBlockTime: new Date(saved.firstBlockTime),
+        endTime: new Date(saved.endTime),
+        // Sent before the restart: later blocks update the same generation
+        event: {}
+      });
+      this.touchConversation(sessionId).messageIds.add(saved.messageId);
+    }
+
+    if (state.toolSpans) {
+      for (const span of state.toolSpans) {
+        if (!this.pendingToolSpans.has(span.toolCall.id)) {
+          this.pendingToolSpans.set(span.toolCall.id, {
+            ...span,
+            timestamp: new Date(span.timestamp),
+            file: filepath,
+            bufferedAt: Date.now()
+          });
+        }
+      }
+      // From now on they are saved from pendingToolSpans
+      this.stateStore.update(filepath, { toolSpans: undefined });
+    }
+  }
+
+  serializeResponse(response) {
+    if (!response) {
+      return undefined;
+    }
+    const { event, file, texts, startTime, firstBlockTime, endTime, ...rest } = response;
+    return {
+      ...rest,
+      texts: [...texts],
+      startTime: startTime.toISOString(),
+      firstBlockTime: firstBlockTime.toISOString(),
+      endTime: endTime.toISOString()
+    };
+  }
+
+  /**
+   * The offsets to save once the queued events are sent, with the tool
+   * calls each transcript still waits on.
+   */
+  checkpoint() {
+    const files = this.stateStore.snapshot();
+    for (const { file, bufferedAt, ...span } of this.pendingToolSpans.values()) {
+      const state = file && files[file];
+      if (state) {
+        state.toolSpans = [...(state.toolSpans || []), JSON.parse(JSON.stringify(span))];
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Pass each line appended since the last read to `onLine`. The file is
+   * read in chunks, so memory use does not grow with the size of the
+   * transcript. Returns the offset to resume from.
+   */
+  readAppendedLines(filepath, onLine) {
+    const state = this.stateStore.get(filepath) || {};
+    const fd = fs.openSync(filepath, 'r');
+
+    try {
+      const stat = fs.fstatSync(fd);
+      let position = state.offset || 0;
+
+      // Transcript was truncated or replaced since we last read it
+      if (stat.size < position || (state.ino !== undefined && stat.ino !== state.ino)) {
+        position = 0;
+      }
+
+      const buffer = Buffer.alloc(Math.min(READ_CHUNK_BYTES, stat.size - position));
+      let partial = Buffer.alloc(0);
+
+      while (position < stat.size) {
+        const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, stat.size - position), position);
+        if (bytesRead === 0) {
+          break;
+        }
+        position += bytesRead;
+
+        // A line may straddle chunks; carry its start into the next one
+        const chunk = Buffer.concat([partial, buffer.subarray(0, bytesRead)]);
+        let start = 0;
+        let newline;
+        while ((newline = chunk.indexOf(0x0a, start)) !== -1) {
+          const line = chunk.subarray(start, newline).toString('utf8');
+          if (line.trim()) {
+            onLine(line);
+          }
+          start = newline + 1;
+        }
+        partial = chunk.subarray(start);
+      }
+
+      // Hold back a trailing partial line until Claude Code finishes writing it
+      const remainder = partial.toString('utf8');
+      if (remainder.trim()) {
+        try {
+          JSON.parse(remainder);
+          onLine(remainder);
+          return { offset: position, ino: stat.ino };
+        } catch (e) {
+          // Incomplete line - picked up on the next change event
+        }
+      }
+
+      return { offset: position - partial.length, ino: stat.ino };
+    } finally {
+      fs.closeSync(fd);
     }
   }
 
-  processMessage(entry, sessionId, projectPath, conversationId) {
+  processMessage(entry, sessionId, projectPath, conversationId, filepath) {
     const msgType = entry.type;
 
+    // Remember every entry's parent, including ones that are not tracked
+    // themselves, so turn lookups can walk through them
+    const conversation = this.touchConversation(sessionId);
+    if (entry.uuid) {
+      conversation.uuids.add(entry.uuid);
+    }
+    if (entry.uuid && entry.parentUuid) {
+      this.parentUuids.set(entry.uuid, entry.parentUuid);
+    }
+
     if (!['user', 'assistant'].includes(msgType)) {
       return;
     }
@@ -237,6 +758,10 @@ class Monitor {
           .filter(content => content)
           .join('\n\n');
       }
+      // Prompts typed by the user carry plain string content
+      if (typeof entry.message.content === 'string') {
+        text = entry.message.content;
+      }
       // Fallback: old format with direct text field
       if (!text) {
         text = entry.message.text || '';
@@ -246,20 +771,71 @@ class Monitor {
     }
 
     const timestamp = new Date(entry.timestamp || Date.now());
+    if (msgType === 'user') {
+      this.requestTimes.set(uuid, timestamp);
+    }
 
-    // Track message counts
-    this.messageCount[msgType]++;
+    // A human prompt starts a turn; tool results and assistant steps join
+    // the turn found by walking back up the parentUuid chain
+    const content = entry.message && entry.message.content;
+    const isToolResult = msgType === 'user' && Array.isArray(content) && content.length > 0 &&
+      content.every(block => block.type === 'tool_result');
+    const isPrompt = msgType === 'user' && !isToolResult;
+    // A prompt on a sidechain is the Task tool handing work to a subagent
+    const isSubagentPrompt = isPrompt && Boolean(entry.isSidechain);
+
+    let turn;
+    if (isSubagentPrompt) {
+      turn = this.linkSubagent(entry, text, sessionId);
+    } else if (isPrompt) {
+      turn = { traceId: uuid };
+      this.currentTurns.set(sessionId, uuid);
+    } else {
+      turn = this.resolveTurn(entry.parentUuid, sessionId);
+    }
+    this.turns.set(uuid, { traceId: turn.traceId, agentSpanId: turn.agentSpanId });
 
-    // Print activity (unless quiet mode)
-    if (!this.options.quiet) {
-      const projectName = projectPath.split('/').pop();
-      const preview = text.substring(0, 60).replace(/\n/g, ' ');
-      const icon = msgType === 'user' ? '👤' : '🤖';
-      console.log(chalk.gray(`${icon} [${projectName}] ${preview}...`));
+    // Claude Code writes one assistant entry per content block of an API
+    // response; fold them into a single response keyed by message.id
+    const response = msgType === 'assistant'
+      ? this.trackAssistantResponse(entry, text, timestamp, turn, projectPath, conversationId, filepath)
+      : null;
+
+    if (response) {
+      conversation.messageIds.add(response.messageId);
     }
 
-    if (this.options.dryRun) {
-      return;
+    // Remember subagent calls so their sidechain can be nested under them
+    if (response) {
+      for (const toolCall of toolUseBlocks) {
+        if (SUBAGENT_TOOLS.includes(toolCall.name) && toolCall.id) {
+          const input = toolCall.input || {};
+          conversation.taskCallIds.add(toolCall.id);
+          this.taskCalls.set(toolCall.id, {
+            toolUseId: toolCall.id,
+            traceId: response.traceId,
+            prompt: input.prompt,
+            description: input.description,
+            subagentType: input.subagent_type,
+            agentSpanId: null
+          });
+        }
+      }
+    }
+
+    // Track message counts (prompts and API responses, not tool results or content blocks)
+    if (response ? response.entryCount === 1 : isPrompt && !isSubagentPrompt) {
+      this.messageCount[msgType]++;
+    }
+
+    // Print activity (unless quiet mode)
+    if (!this.options.quiet && !isToolResult) {
+      const projectName = path.basename(projectPath);
+      // Logs may be shipped too; redact before cutting so no secret is left half-matched
+      const preview = this.redactor.redactString(text).value.substring(0, 60).replace(/\n/g, ' ');
+      const icon = msgType === 'user' ? '👤' : '🤖';
+      const marker = entry.isSidechain ? ' ↳ subagent' : '';
+      this.logger.info(chalk.gray(`${icon} [${projectName}${marker}] ${preview}...`), { project: projectPath, type: msgType });
     }
 
     // Queue event for batch ingestion
@@ -267,38 +843,84 @@ class Monitor {
     const eventTimestamp = new Date().toISOString();
 
     if (msgType === 'user') {
-      this.pendingEvents.push({
-        type: 'trace-create',
-        id: eventId,
-        timestamp: eventTimestamp,
-        body: {
-          id: uuid,
-          name: 'claude_code_user',
-          sessionId: sessionId,
-          userId: this.config.userId || 'user@id.not.set',
-          input: text,
-          timestamp: timestamp.toISOString(),
-          metadata: {
-            project: projectPath,
-            conversationId: conversationId,
-            gitBranch: entry.gitBranch,
-            cwd: entry.cwd,
-            messageType: msgType,
-            source: 'claude_code_automatic'
-          }
-        }
-      });
+      if (isSubagentPrompt) {
+        const taskCall = turn.taskCall || {};
+        this.queueEvent(projectPath, {
+          type: 'span-create',
+          id: eventId,
+          timestamp: eventTimestamp,
+          body: this.redactor.redactBody({
+            id: turn.agentSpanId,
+            traceId: turn.traceId,
+            parentObservationId: taskCall.toolUseId,
+            name: 'claude_subagent',
+            type: 'agent',
+            input: text,
+            startTime: timestamp.toISOString(),
+            metadata: {
+              project: projectPath,
+              conversationId: conversationId,
+              agentId: entry.agentId,
+              subagentType: taskCall.subagentType,
+              description: taskCall.description,
+              source: 'claude_code_automatic'
+            }
+          })
+        }, filepath);
+      } else if (isPrompt) {
+        this.queueEvent(projectPath, {
+          type: 'trace-create',
+          id: eventId,
+          timestamp: eventTimestamp,
+          body: this.redactor.redactBody({
+            id: uuid,
+            name: 'claude_code_user',
+            sessionId: sessionId,
+            userId: this.profileConfig(projectPath).userId || 'user@id.not.set',
+            input: text,
+            tags: [path.basename(projectPath)],
+            timestamp: timestamp.toISOString(),
+            metadata: {
+              project: projectPath,
+              conversationId: conversationId,
+              gitBranch: entry.gitBranch,
+              cwd: entry.cwd,
+              messageType: msgType,
+              source: 'claude_code_automatic'
+            }
+          })
+        }, filepath);
+      }
 
       // Merge tool_result blocks with buffered tool_use spans
       for (const result of toolResultBlocks) {
+        // A finished subagent call closes its agent observation
+        const taskCall = this.taskCalls.get(result.tool_use_id);
+        if (taskCall) {
+          this.taskCalls.delete(result.tool_use_id);
+          if (taskCall.agentSpanId) {
+            this.queueEvent(projectPath, {
+              type: 'span-update',
+              id: crypto.randomUUID(),
+              timestamp: eventTimestamp,
+              body: this.redactor.redactBody({
+                id: taskCall.agentSpanId,
+                traceId: taskCall.traceId,
+                output: result.content,
+                endTime: timestamp.toISOString()
+              })
+            }, filepath);
+          }
+        }
+
         const pending = this.pendingToolSpans.get(result.tool_use_id);
         if (pending) {
           this.pendingToolSpans.delete(result.tool_use_id);
-          this.pendingEvents.push({
+          this.queueEvent(pending.project, {
             type: 'span-create',
             id: crypto.randomUUID(),
             timestamp: pending.eventTimestamp,
-            body: {
+            body: this.redactor.redactBody({
               id: pending.toolCall.id || crypto.randomUUID(),
               traceId: pending.traceId,
               parentObservationId: pending.parentObservationId,
@@ -314,65 +936,434 @@ class Monitor {
                 conversationId: pending.conversationId,
                 source: 'claude_code_automatic'
               }
-            }
-          });
+            })
+          }, pending.file);
         }
       }
     } else {
-      this.pendingEvents.push({
-        type: 'generation-create',
-        id: eventId,
-        timestamp: eventTimestamp,
-        body: {
-          id: uuid,
-          traceId: entry.parentUuid,
-          name: 'claude_response',
-          model: entry.message.model,
-          output: text,
-          startTime: timestamp.toISOString(),
-          endTime: timestamp.toISOString(),
-          metadata: {
-            project: projectPath,
-            conversationId: conversationId,
-            requestId: entry.requestId,
-            messageType: msgType,
-            source: 'claude_code_automatic'
-          }
-        }
-      });
+      this.queueGeneration(response, eventTimestamp);
 
       // Buffer tool_use blocks to be merged with their tool_result when it arrives
       for (const toolCall of toolUseBlocks) {
         this.pendingToolSpans.set(toolCall.id, {
           toolCall,
-          traceId: entry.parentUuid,
-          parentObservationId: uuid,
+          traceId: response.traceId,
+          parentObservationId: response.generationId,
           timestamp,
           project: projectPath,
           conversationId,
-          eventTimestamp
+          file: filepath,
+          eventTimestamp,
+          bufferedAt: Date.now()
         });
       }
+
+      // Past the cap, the longest-waiting calls go out without a result
+      const excess = this.pendingToolSpans.size - this.memory.maxToolSpans;
+      if (excess > 0) {
+        this.queueUnmatchedToolSpans({ limit: excess });
+      }
+    }
+
+    // Flush once enough events are queued; the flush timer sends the rest
+    if (this.pendingEvents.length >= this.batch.flushAt) {
+      this.flushPendingEvents().catch(error => {
+        this.logger.error(chalk.red(`Error flushing events: ${error.message}`));
+      });
+    }
+  }
+
+  /**
+   * Find the trace (human prompt) an entry belongs to, and the subagent
+   * observation when it runs on a sidechain, by walking up its parentUuid
+   * chain. Falls back to the conversation's current turn when the chain
+   * leaves what this process has seen, e.g. after a restart.
+   */
+  resolveTurn(parentUuid, sessionId) {
+    const visited = new Set();
+    let current = parentUuid;
+
+    while (current && !visited.has(current)) {
+      if (this.turns.has(current)) {
+        return this.turns.get(current);
+      }
+      visited.add(current);
+      current = this.parentUuids.get(current);
+    }
+
+    return { traceId: this.currentTurns.get(sessionId) || parentUuid };
+  }
+
+  /**
+   * Link a subagent's opening prompt to the Task call that started it by
+   * matching the prompt text. The agent observation reuses the prompt's
+   * uuid as its id and nests under the Task tool span in the parent turn.
+   */
+  linkSubagent(entry, text, sessionId) {
+    let taskCall = null;
+    for (const call of this.taskCalls.values()) {
+      if (!call.agentSpanId && call.prompt === text) {
+        taskCall = call;
+      }
     }
 
-    // Flush periodically
-    if (this.pendingEvents.length >= 10) {
-      this.flushPendingEvents();
+    if (!taskCall) {
+      return { traceId: this.currentTurns.get(sessionId) || entry.uuid, agentSpanId: entry.uuid };
     }
+
+    taskCall.agentSpanId = entry.uuid;
+    return { traceId: taskCall.traceId, agentSpanId: entry.uuid, taskCall };
   }
 
-  async flushPendingEvents() {
-    if (!this.langfuse) {
+  trackAssistantResponse(entry, text, timestamp, turn, projectPath, conversationId, filepath) {
+    const message = entry.message && typeof entry.message === 'object' ? entry.message : {};
+    const messageId = message.id || entry.uuid;
+
+    let response = this.assistantResponses.get(messageId);
+    if (!response) {
+      response = {
+        messageId,
+        generationId: entry.uuid,
+        traceId: turn.traceId,
+        parentObservationId: turn.agentSpanId,
+        requestId: entry.requestId,
+        project: projectPath,
+        conversationId,
+        file: filepath,
+        model: undefined,
+        texts: [],
+        usageDetails: undefined,
+        // The API call starts when the prompt or tool result it answers is
+        // written; the first block marks time-to-first-token
+        startTime: this.findRequestTime(entry.parentUuid, timestamp),
+        firstBlockTime: timestamp,
+        endTime: timestamp,
+        entryCount: 0,
+        event: null
+      };
+      this.assistantResponses.set(messageId, response);
+    }
+
+    response.entryCount++;
+    response.model = message.model || response.model;
+    if (text) {
+      response.texts.push(text);
+    }
+    // Every block repeats the usage so far; the latest one is the most complete
+    const usageDetails = extractUsage(message.usage);
+    if (usageDetails) {
+      response.usageDetails = usageDetails;
+    }
+    if (timestamp > response.endTime) {
+      response.endTime = timestamp;
+    }
+
+    return response;
+  }
+
+  /**
+   * Timestamp of the prompt or tool result that a response answers, found
+   * by walking up the parentUuid chain past untracked entries. Falls back
+   * to the response's own first block when the request is not known.
+   */
+  findRequestTime(parentUuid, fallback) {
+    const visited = new Set();
+    let current = parentUuid;
+
+    while (current && !visited.has(current)) {
+      if (this.requestTimes.has(current)) {
+        const requestTime = this.requestTimes.get(current);
+        return requestTime <= fallback ? requestTime : fallback;
+      }
+      // Another response in between: the request is not this one's
+      if (this.processedMessages.has(current)) {
+        break;
+      }
+      visited.add(current);
+      current = this.parentUuids.get(current);
+    }
+
+    return fallback;
+  }
+
+  queueGeneration(response, eventTimestamp) {
+    const body = this.redactor.redactBody({
+      id: response.generationId,
+      traceId: response.traceId,
+      parentObservationId: response.parentObservationId,
+      name: 'claude_response',
+      model: response.model,
+      output: response.texts.join('\n\n'),
+      usageDetails: response.usageDetails,
+      costDetails: calculateCost(response.usageDetails, resolvePrice(response.model, this.config.pricing)),
+      startTime: response.startTime.toISOString(),
+      // Only distinct from the end time once the response spans several blocks
+      completionStartTime: response.entryCount > 1 ? response.firstBlockTime.toISOString() : undefined,
+      endTime: response.endTime.toISOString(),
+      metadata: {
+        project: response.project,
+        conversationId: response.conversationId,
+        requestId: response.requestId,
+        messageId: response.messageId,
+        messageType: 'assistant',
+        source: 'claude_code_automatic'
+      }
+    });
+
+    // Still queued: fold the new block into the pending event
+    if (response.event && this.pendingEvents.includes(response.event)) {
+      response.event.body = body;
       return;
     }
 
-    // Emit any tool_use spans that never received a matching tool_result
-    for (const [, pending] of this.pendingToolSpans) {
-      this.pendingEvents.push({
+    // Already sent (or first block): later blocks update the same generation
+    response.event = {
+      type: response.event ? 'generation-update' : 'generation-create',
+      id: crypto.randomUUID(),
+      timestamp: eventTimestamp,
+      body
+    };
+    this.queueEvent(response.project, response.event, response.file);
+  }
+
+  /**
+   * Queue an event for the destination its project is routed to.
+   * `filepath` is the transcript it was read from.
+   */
+  queueEvent(projectPath, event, filepath) {
+    const { profile } = this.projectRouter.route(projectPath);
+    if (profile) {
+      this.eventProfiles.set(event, profile);
+    }
+    if (filepath) {
+      this.eventFiles.set(event, filepath);
+    }
+    this.pendingEvents.push(event);
+  }
+
+  /**
+   * The config of the profile `projectPath` is routed to.
+   */
+  profileConfig(projectPath) {
+    const { profile } = this.projectRouter.route(projectPath);
+    return this.profiles.get(profile || DEFAULT_PROFILE) || this.config;
+  }
+
+  /**
+   * Split events into batches for sending, grouped by the profile they are
+   * routed to and in queued order within each profile.
+   */
+  batchByProfile(events) {
+    const groups = new Map();
+    for (const event of events) {
+      const profile = this.eventProfiles.get(event) || DEFAULT_PROFILE;
+      if (!groups.has(profile)) {
+        groups.set(profile, []);
+      }
+      groups.get(profile).push(event);
+    }
+
+    return [...groups].flatMap(([profile, group]) => {
+      return splitBatch(group, this.batch).map(events => ({ profile, events }));
+    });
+  }
+
+  sinkFor(profile) {
+    return profile === DEFAULT_PROFILE ? this.sink : this.profileSinks.get(profile);
+  }
+
+  /**
+   * Send the queued events and save the offsets they were read up to. Tool
+   * calls still waiting for a result are kept unless they expired or
+   * `drain` is set.
+   *
+   * Flushes run one at a time so batches go out in the order they were
+   * read and offsets are never saved out of order. Requests made while a
+   * flush is running share a single follow-up flush. Resolves to true when
+   * events could be neither sent nor spooled; their transcripts keep the
+   * offsets saved before them.
+   */
+  flushPendingEvents({ drain = false } = {}) {
+    if (!this.flushing) {
+      this.flushing = this.runFlush({ drain }).finally(() => {
+        this.flushing = null;
+      });
+      return this.flushing;
+    }
+
+    if (!this.nextFlush) {
+      this.nextFlushDrains = false;
+      this.nextFlush = this.flushing.catch(() => {}).then(() => {
+        const next = { drain: this.nextFlushDrains };
+        this.nextFlush = null;
+        return this.flushPendingEvents(next);
+      });
+    }
+    this.nextFlushDrains = this.nextFlushDrains || drain;
+    return this.nextFlush;
+  }
+
+  async runFlush({ drain }) {
+    // Exports and previews collect every event and return them at the end
+    if (this.options.exportOnly) {
+      return false;
+    }
+
+    const expired = { bufferedBefore: drain ? Infinity : Date.now() - this.memory.toolSpanMinutes * 60 * 1000 };
+
+    if (this.options.dryRun) {
+      this.previewPendingEvents(expired);
+      return false;
+    }
+
+    if (!this.sink) {
+      return false;
+    }
+
+    this.queueUnmatchedToolSpans(expired);
+
+    // Offsets are only persisted once the events read up to them were sent
+    const checkpoint = this.checkpoint();
+
+    // Batches leave `unsentBatches` once sent or spooled, so a shutdown
+    // that cannot wait for them knows what is still outstanding
+    this.unsentBatches = this.batchByProfile(this.pendingEvents.splice(0));
+    let lost = false;
+    while (this.unsentBatches.length > 0) {
+      const { profile, events } = this.unsentBatches[0];
+      const { failed, error } = await this.sendBatch(events, profile);
+      this.unsentBatches.shift();
+      if (failed.length === 0) {
+        this.logger.debug(chalk.gray(`📤 Sent ${events.length} events${profile === DEFAULT_PROFILE ? '' : ` (profile ${profile})`}`), { events: events.length, profile });
+        continue;
+      }
+
+      this.logger.error(chalk.red(`Error flushing events: ${error.message}`), { events: failed.length, profile });
+      const toSpool = [failed];
+
+      // The whole request failed: the destination is down, so spool its
+      // remaining batches rather than waiting on each in turn
+      if (failed.length === events.length) {
+        const rest = this.unsentBatches.filter(batch => batch.profile === profile);
+        this.unsentBatches = this.unsentBatches.filter(batch => batch.profile !== profile);
+        toSpool.push(...rest.map(batch => batch.events));
+      }
+
+      for (const batch of toSpool) {
+        if (!this.spoolEvents(batch, error, profile)) {
+          this.holdFiles(batch);
+          lost = true;
+        }
+      }
+    }
+
+    try {
+      this.stateStore.save(checkpoint);
+    } catch (error) {
+      this.logger.error(chalk.red(`Error saving state: ${error.message}`));
+    }
+    return lost;
+  }
+
+  /**
+   * Keep the saved offsets of the transcripts `events` were read from
+   * until a restart, which reads those events again.
+   */
+  holdFiles(events) {
+    this.stateStore.hold(new Set(events.map(event => this.eventFiles.get(event)).filter(Boolean)));
+  }
+
+  /**
+   * Dry run: print (or append to `previewFile`) the exact payload each
+   * profile's sink would send, instead of sending it. Offsets are not saved.
+   */
+  previewPendingEvents(expired) {
+    this.queueUnmatchedToolSpans(expired);
+    if (this.pendingEvents.length === 0) {
+      return;
+    }
+
+    for (const { profile, events } of this.batchByProfile(this.pendingEvents.splice(0))) {
+      if (!this.previewSinks.has(profile)) {
+        this.previewSinks.set(profile, createSink(this.profiles.get(profile)));
+      }
+      const sink = this.previewSinks.get(profile);
+      const payload = sink.payload(events);
+      const destination = profile === DEFAULT_PROFILE ? sink.name : `${sink.name} (profile ${profile})`;
+
+      if (this.options.previewFile) {
+        try {
+          fs.appendFileSync(this.options.previewFile, `${JSON.stringify(payload)}\n`);
+          console.log(chalk.gray(`📦 Wrote ${events.length} events for ${destination} to ${this.options.previewFile}`));
+          continue;
+        } catch (error) {
+          // Print the batch instead so it is not lost
+          console.error(chalk.red(`Error writing to ${this.options.previewFile}: ${error.message}`));
+        }
+      }
+      console.log(chalk.cyan(`📦 Would send ${events.length} events to ${destination}:`));
+      console.log(JSON.stringify(payload, null, 2));
+    }
+  }
+
+  /**
+   * Build the events for a single transcript without sending them, with
+   * the filter decision and the profile its project is routed to. Transcripts copied out of
+   * ~/.claude/projects are attributed to the cwd recorded in them.
+   */
+  previewTranscript(filepath) {
+    const transcript = this.parseTranscriptPath(filepath) || {
+      encodedProject: path.basename(path.dirname(filepath)),
+      projectPath: findTranscriptCwd(filepath) || path.dirname(filepath),
+      conversationId: path.basename(filepath, '.jsonl'),
+      parentTranscript: null
+    };
+    const decision = this.projectFilter.check(transcript.projectPath);
+
+    if (decision.tracked) {
+      this.processConversationFile(filepath, transcript);
+      this.queueUnmatchedToolSpans();
+    }
+
+    const events = this.pendingEvents.splice(0);
+    const redactions = events.reduce((sum, event) => {
+      return sum + ((event.body && event.body.metadata && event.body.metadata.redactions) || 0);
+    }, 0);
+
+    // The profile the project is routed to decides the sink and its payload
+    const route = this.projectRouter.route(transcript.projectPath);
+    return {
+      projectPath: transcript.projectPath,
+      ...decision,
+      profile: route.profile || DEFAULT_PROFILE,
+      routeReason: route.reason,
+      redactions,
+      events
+    };
+  }
+
+  /**
+   * Emit tool_use spans that never received a matching tool_result: all
+   * of them, those buffered before `bufferedBefore`, or the `limit` that
+   * have waited longest.
+   */
+  queueUnmatchedToolSpans({ bufferedBefore = Infinity, limit = Infinity } = {}) {
+    let queued = 0;
+
+    for (const [id, pending] of this.pendingToolSpans) {
+      if (queued >= limit) {
+        break;
+      }
+      if (pending.bufferedAt >= bufferedBefore) {
+        continue;
+      }
+      queued++;
+      this.pendingToolSpans.delete(id);
+      this.queueEvent(pending.project, {
         type: 'span-create',
         id: crypto.randomUUID(),
         timestamp: pending.eventTimestamp,
-        body: {
+        body: this.redactor.redactBody({
           id: pending.toolCall.id || crypto.randomUUID(),
           traceId: pending.traceId,
           parentObservationId: pending.parentObservationId,
@@ -386,51 +1377,394 @@ class Monitor {
             conversationId: pending.conversationId,
             source: 'claude_code_automatic'
           }
-        }
-      });
+        })
+      }, pending.file);
     }
-    this.pendingToolSpans.clear();
+  }
 
-    if (this.pendingEvents.length === 0) {
+  /**
+   * The cache bookkeeping for a conversation (a transcript and its
+   * subagents share one session), marked as active now.
+   */
+  touchConversation(sessionId) {
+    let conversation = this.conversations.get(sessionId);
+    if (!conversation) {
+      conversation = { filepaths: new Set(), uuids: new Set(), messageIds: new Set(), taskCallIds: new Set() };
+      this.conversations.set(sessionId, conversation);
+    }
+    conversation.lastActivity = Date.now();
+    return conversation;
+  }
+
+  /**
+   * Drop everything cached for a conversation. Read offsets and its
+   * current turn are kept in the state store, so if it resumes later its
+   * new entries still join the right trace - unless its transcripts are
+   * gone.
+   */
+  evictConversation(sessionId) {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation) {
       return;
     }
 
-    const events = this.pendingEvents.splice(0);
+    for (const uuid of conversation.uuids) {
+      this.processedMessages.delete(uuid);
+      this.parentUuids.delete(uuid);
+      this.turns.delete(uuid);
+      this.requestTimes.delete(uuid);
+    }
+    for (const messageId of conversation.messageIds) {
+      this.assistantResponses.delete(messageId);
+    }
+    for (const toolUseId of conversation.taskCallIds) {
+      this.taskCalls.delete(toolUseId);
+    }
+    for (const filepath of conversation.filepaths) {
+      this.conversationSessions.delete(filepath);
+    }
+    this.stateStore.prune(conversation.filepaths);
+    this.currentTurns.delete(sessionId);
+    this.conversations.delete(sessionId);
+  }
+
+  /**
+   * Evict conversations that have been idle for `memory.idleMinutes`.
+   * Returns how many were evicted.
+   */
+  evictIdleConversations(now = Date.now()) {
+    const idleBefore = now - this.memory.idleMinutes * 60 * 1000;
+    let evicted = 0;
+
+    for (const [sessionId, conversation] of this.conversations) {
+      if (conversation.lastActivity <= idleBefore) {
+        this.evictConversation(sessionId);
+        evicted++;
+      }
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Periodic housekeeping: evict idle conversations and enforce
+   * `memory.maxMb`. Over the limit every conversation is evicted; returns
+   * false when the heap is still over it at the next check, after garbage
+   * collection had a chance to run.
+   */
+  checkMemory() {
+    this.evictIdleConversations();
+
+    if (!this.memory.maxMb) {
+      return true;
+    }
+
+    const heapMb = Math.round(process.memoryUsage().heapUsed / (1024 * 1024));
+    if (heapMb < this.memory.maxMb) {
+      this.overMemoryLimit = false;
+      return true;
+    }
+
+    if (this.overMemoryLimit) {
+      return false;
+    }
+
+    this.logger.warn(chalk.yellow(`⚠️  Heap at ${heapMb} MB exceeds the ${this.memory.maxMb} MB limit - dropping conversation caches`));
+    for (const sessionId of [...this.conversations.keys()]) {
+      this.evictConversation(sessionId);
+    }
+    this.overMemoryLimit = true;
+    return true;
+  }
+
+  /**
+   * Send one batch to the sink of `profile`. Resolves with the events it
+   * did not accept and the reason.
+   */
+  async sendBatch(events, profile = DEFAULT_PROFILE) {
     try {
-      await this.langfuse.api.ingestion.batch({ batch: events });
+      const sink = this.sinkFor(profile);
+      if (!sink) {
+        throw new Error(`No profile named "${profile}" in config.json`);
+      }
+      return await sink.send(events);
     } catch (error) {
-      console.error(chalk.red(`Error flushing events: ${error.message}`));
+      return { failed: events, error };
+    }
+  }
+
+  spoolEvents(events, error, profile = DEFAULT_PROFILE) {
+    try {
+      const entry = this.spool.write(events, error, profile === DEFAULT_PROFILE ? undefined : profile);
+      this.logger.warn(chalk.yellow(`   Spooled ${events.length} events for retry: ${entry.file}`), { events: events.length, file: entry.file });
+      return true;
+    } catch (spoolError) {
+      this.logger.error(chalk.red(`Error spooling events: ${spoolError.message}`));
+      return false;
     }
   }
 
+  /**
+   * Final flush before exiting, including tool calls still waiting for a
+   * result. What is not sent within `shutdownTimeoutSeconds` - the
+   * destination is slow or down - is spooled for the next run instead; a
+   * batch that was in flight may then be sent twice, which Langfuse
+   * absorbs because events upsert by id. Resolves to false if events
+   * could be neither sent nor saved.
+   */
+  async shutdown() {
+    const timeoutMs = this.shutdownTimeoutSeconds * 1000;
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+    const flushed = this.flushPendingEvents({ drain: true }).then(lost => !lost, () => false);
+
+    const flushedSaved = await Promise.race([flushed, timedOut]);
+    clearTimeout(timer);
+    if (flushedSaved !== null) {
+      return flushedSaved;
+    }
+    if (!this.sink) {
+      return true;
+    }
+
+    this.queueUnmatchedToolSpans();
+    const unsent = [...this.unsentBatches.splice(0), ...this.batchByProfile(this.pendingEvents.splice(0))];
+    const count = unsent.reduce((sum, batch) => sum + batch.events.length, 0);
+    this.logger.warn(chalk.yellow(`⚠️  ${count} events not sent within ${this.shutdownTimeoutSeconds}s - spooling them for the next run`));
+
+    const error = new Error(`Not sent within ${this.shutdownTimeoutSeconds}s of shutdown`);
+    let saved = true;
+    for (const batch of unsent) {
+      saved = this.spoolEvents(batch.events, error, batch.profile) && saved;
+    }
+
+    // Everything read is now sent or spooled, so the offsets can move on.
+    // Otherwise they stay where they were and the lost events are read
+    // again on the next run
+    if (saved) {
+      try {
+        this.stateStore.save();
+      } catch (stateError) {
+        this.logger.error(chalk.red(`Error saving state: ${stateError.message}`));
+      }
+    }
+
+    return saved;
+  }
+
+  /**
+   * Resend spooled batches whose backoff has elapsed (or all of them with
+   * `force`). Items that fail again stay spooled with a longer backoff.
+   */
+  async retrySpool({ force = false } = {}) {
+    const result = { sent: 0, failed: 0 };
+
+    if (!this.sink || this.retryingSpool) {
+      return result;
+    }
+
+    this.retryingSpool = true;
+    try {
+      const entries = force ? this.spool.list() : this.spool.due();
+
+      for (const entry of entries) {
+        const { failed, error } = await this.sendBatch(entry.events, entry.profile);
+        result.sent += entry.events.length - failed.length;
+
+        if (failed.length === 0) {
+          this.spool.remove(entry);
+        } else {
+          result.failed += failed.length;
+          this.spool.markFailed(entry, error, failed);
+        }
+      }
+    } finally {
+      this.retryingSpool = false;
+    }
+
+    if (result.sent > 0) {
+      this.logger.info(chalk.green(`📤 Resent ${result.sent} spooled events`), { events: result.sent });
+    }
+
+    return result;
+  }
+
+  /**
+   * Every project under ~/.claude/projects with its filter decision and
+   * the profile it is routed to (null for the default destination).
+   */
+  listProjects() {
+    const projectsDir = this.getClaudeProjectsDir();
+
+    return fs.readdirSync(projectsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => {
+        const projectDir = path.join(projectsDir, entry.name);
+        const transcript = fs.readdirSync(projectDir).find(name => name.endsWith('.jsonl'));
+        const projectPath = this.projectResolver.resolve(
+          entry.name,
+          transcript && path.join(projectDir, transcript)
+        );
+        return {
+          projectPath,
+          ...this.projectFilter.check(projectPath),
+          profile: this.projectRouter.route(projectPath).profile
+        };
+      });
+  }
+
+  /**
+   * Print a health report. Resolves to false when something would stop
+   * the monitor from delivering events.
+   */
   async checkStatus() {
     console.log(chalk.cyan('🔍 Claude Langfuse Monitor Status'));
     console.log(chalk.cyan('='.repeat(50)));
 
+    let ok = true;
+
     // Check Claude directory
     try {
       const projectsDir = this.getClaudeProjectsDir();
       console.log(chalk.green('✅ Claude projects directory found'));
       console.log(chalk.gray(`   ${projectsDir}`));
+
+      // Check project filters
+      const projects = this.listProjects();
+      const tracked = projects.filter(project => project.tracked);
+      console.log(chalk.green(`✅ ${tracked.length} of ${projects.length} projects tracked`));
+      if (this.projectFilter.active || this.projectRouter.active) {
+        for (const project of projects) {
+          const route = project.tracked && project.profile ? ` → ${project.profile}` : '';
+          const line = `   ${project.tracked ? '✓' : '✗'} ${project.projectPath}${route}${project.reason ? ` (${project.reason})` : ''}`;
+          console.log(project.tracked ? chalk.gray(line) : chalk.yellow(line));
+        }
+      }
     } catch (error) {
       console.log(chalk.red('❌ Claude projects directory not found'));
-      return;
+      console.log(chalk.yellow('   Run Claude Code once to create ~/.claude/projects'));
+      ok = false;
     }
 
-    // Check configuration
-    if (this.config.publicKey && this.config.secretKey) {
+    for (const profile of this.profiles.keys()) {
+      ok = await this.checkDestination(profile) && ok;
+    }
+
+    this.reportService();
+    this.reportProcess();
+    this.reportState();
+
+    if (ok) {
+      console.log(chalk.green('\n✅ Monitor ready to run'));
+      console.log(chalk.gray('   Start with: claude-langfuse start'));
+    } else {
+      console.log(chalk.red('\n❌ Monitor not ready - fix the problems above'));
+    }
+
+    return ok;
+  }
+
+  /**
+   * Contact the sink of `profile` with its credentials and report latency
+   * and what the server says about itself.
+   */
+  async checkDestination(profile = DEFAULT_PROFILE) {
+    const config = this.profiles.get(profile);
+    if (this.profiles.size > 1) {
+      console.log(chalk.cyan(profile === DEFAULT_PROFILE ? '📡 Default destination' : `📡 Profile ${profile}`));
+    }
+
+    let sink;
+    try {
+      sink = createSink(config);
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      return false;
+    }
+
+    if (sink.name === 'langfuse') {
+      if (!config.publicKey || !config.secretKey) {
+        console.log(chalk.red('❌ Langfuse credentials not configured'));
+        console.log(chalk.yellow(profile === DEFAULT_PROFILE
+          ? '   Run: claude-langfuse config --public-key <key> --secret-key <key>'
+          : `   Run: claude-langfuse config set profiles.${profile}.publicKey <key>, then profiles.${profile}.secretKey`));
+        return false;
+      }
       console.log(chalk.green('✅ Langfuse credentials configured'));
+    }
+
+    const result = await sink.check();
+    if (!result.ok) {
+      console.log(chalk.red(`❌ ${result.error}`));
+      if (result.hint) {
+        console.log(chalk.yellow(`   ${result.hint}`));
+      }
+      return false;
+    }
+
+    console.log(chalk.green(`✅ Connected to the ${sink.name} sink (${result.latencyMs} ms)`));
+    console.log(chalk.gray(`   Destination: ${sink.destination}`));
+    if (result.version) {
+      console.log(chalk.gray(`   Server version: ${result.version}`));
+    }
+    if (result.project) {
+      console.log(chalk.gray(`   Project: ${result.project}`));
+    }
+    return true;
+  }
+
+  reportService() {
+    const service = getServiceStatus();
+
+    if (!service.supported) {
+      return;
+    }
+    if (!service.installed) {
+      console.log(chalk.gray('ℹ️  Service not installed (optional: claude-langfuse install-service)'));
+      return;
+    }
+    if (service.running) {
+      console.log(chalk.green('✅ Service installed and running'));
     } else {
-      console.log(chalk.red('❌ Langfuse credentials not configured'));
-      console.log(chalk.yellow('   Run: claude-langfuse config --public-key <key> --secret-key <key>'));
+      console.log(chalk.yellow('⚠️  Service installed but not running'));
+    }
+    console.log(chalk.gray(`   ${service.file}`));
+  }
+
+  reportProcess() {
+    const running = findRunning();
+
+    if (!running) {
+      console.log(chalk.gray('ℹ️  Monitor not running'));
       return;
     }
+    console.log(chalk.green(`✅ Monitor running (pid ${running.pid}${running.daemon ? ', background' : ''})`));
+    console.log(chalk.gray(`   Since ${running.startedAt}`));
+    if (running.logFile) {
+      console.log(chalk.gray(`   Logs: ${running.logFile}`));
+    }
+  }
+
+  reportState() {
+    const { filepath, loadError } = this.stateStore;
 
-    // Check Langfuse connection
-    console.log(chalk.gray(`   Host: ${this.config.host}`));
+    if (loadError) {
+      console.log(chalk.yellow(`⚠️  State file unreadable, transcripts will be re-read: ${loadError.message}`));
+      console.log(chalk.gray(`   ${filepath}`));
+    } else if (fs.existsSync(filepath)) {
+      console.log(chalk.green(`✅ State file tracks ${Object.keys(this.stateStore.files).length} transcripts`));
+      console.log(chalk.gray(`   ${filepath}`));
+    } else {
+      console.log(chalk.gray('ℹ️  No state file yet - it is created on the first flush'));
+    }
 
-    console.log(chalk.green('\n✅ Monitor ready to run'));
-    console.log(chalk.gray('   Start with: claude-langfuse start'));
+    const spooled = this.spool.list();
+    if (spooled.length > 0) {
+      const events = spooled.reduce((sum, entry) => sum + entry.events.length, 0);
+      console.log(chalk.yellow(`⚠️  ${events} events waiting in the spool - see: claude-langfuse spool`));
+    }
   }
 }
 
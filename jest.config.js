@@ -3,6 +3,7 @@ module.exports = {
   coverageDirectory: 'coverage',
   collectCoverageFrom: [
     'index.js',
+    'lib/**/*.js',
     '!**/node_modules/**',
     '!**/__tests__/**',
     '!**/__mocks__/**'
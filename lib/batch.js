@@ -0,0 +1,53 @@
+/**
+ * Claude Langfuse Monitor - Batching
+ *
+ * Limits on how events are grouped for sending. A backfill can queue
+ * thousands of events at once; they go out as a sequence of batches no
+ * larger than the sink (or a proxy in front of it) will accept.
+ */
+
+const BATCH_DEFAULTS = {
+  // Flush as soon as this many events are queued...
+  flushAt: 10,
+  // ...and at least this often while any are waiting
+  flushIntervalSeconds: 10,
+  // Most events and bytes of event JSON sent in one request
+  maxEvents: 100,
+  maxBytes: 3 * 1024 * 1024
+};
+
+function eventBytes(event) {
+  return Buffer.byteLength(JSON.stringify(event));
+}
+
+/**
+ * Split `events` into consecutive batches of at most `maxEvents` events
+ * and `maxBytes` bytes of JSON, keeping their order. An event larger than
+ * `maxBytes` on its own is sent alone rather than dropped.
+ */
+function splitBatch(events, { maxEvents = BATCH_DEFAULTS.maxEvents, maxBytes = BATCH_DEFAULTS.maxBytes } = {}) {
+  const batches = [];
+  let batch = [];
+  let bytes = 0;
+
+  for (const event of events) {
+    const size = eventBytes(event);
+
+    if (batch.length > 0 && (batch.length >= maxEvents || bytes + size > maxBytes)) {
+      batches.push(batch);
+      batch = [];
+      bytes = 0;
+    }
+
+    batch.push(event);
+    bytes += size;
+  }
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+module.exports = { BATCH_DEFAULTS, splitBatch, eventBytes };
@@ -0,0 +1,713 @@
+/**
+ * Claude Langfuse Monitor - Config
+ *
+ * Where config.json lives and the schema of every key it may hold. The
+ * schema checks a new config before a running monitor switches to it, and
+ * lets `claude-langfuse config set/get/unset/list` edit one key at a time
+ * without losing the others. Secrets are masked wherever a value is shown.
+ * Profiles are named alternative destinations that `routes` send some
+ * projects to.
+ *
+ * The effective config is built from layers, each overriding the one
+ * before: defaults, config.json, ~/.claude-langfuse/.env, environment
+ * variables and command-line flags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+const { SINKS } = require('./sinks');
+const { BUILTIN_DETECTORS, compileRules } = require('./redaction');
+const { LEVELS, FORMATS } = require('./logger');
+const { expandHome } = require('./paths');
+
+// Every known key, by dotted path. `*` matches any one segment, such as a
+// model id under `pricing`. Sections hold further keys; `disable: true`
+// sections may also be set to false.
+const FIELDS = {
+  sink: { type: 'choice', values: Object.keys(SINKS) },
+  host: { type: 'url' },
+  publicKey: { type: 'string', prefix: 'pk-lf-' },
+  secretKey: { type: 'string', prefix: 'sk-lf-', secret: true },
+  secretKeyFile: { type: 'string' },
+  secretKeyCommand: { type: 'string' },
+  userId: { type: 'string' },
+  shutdownTimeoutSeconds: { type: 'number', positive: true },
+
+  projects: { type: 'section' },
+  'projects.include': { type: 'list', of: 'globs' },
+  'projects.exclude': { type: 'list', of: 'globs' },
+
+  redaction: { type: 'section', disable: true },
+  'redaction.enabled': { type: 'boolean' },
+  'redaction.disable': { type: 'list', of: 'detector names', values: Object.keys(BUILTIN_DETECTORS) },
+  'redaction.rules': { type: 'rules' },
+
+  pricing: { type: 'section', disable: true },
+  'pricing.*': { type: 'section' },
+  'pricing.*.input': { type: 'number' },
+  'pricing.*.output': { type: 'number' },
+  'pricing.*.cacheCreation': { type: 'number' },
+  'pricing.*.cacheRead': { type: 'number' },
+
+  memory: { type: 'section' },
+  'memory.idleMinutes': { type: 'number' },
+  'memory.toolSpanMinutes': { type: 'number' },
+  'memory.maxToolSpans': { type: 'number' },
+  'memory.maxMb': { type: 'number' },
+
+  batch: { type: 'section' },
+  'batch.flushAt': { type: 'number' },
+  'batch.flushIntervalSeconds': { type: 'number', positive: true },
+  'batch.maxEvents': { type: 'number', positive: true },
+  'batch.maxBytes': { type: 'number', positive: true },
+
+  otlp: { type: 'section' },
+  'otlp.endpoint': { type: 'url' },
+  'otlp.headers': { type: 'headers', secret: true },
+  'otlp.serviceName': { type: 'string' },
+  'otlp.timeoutMs': { type: 'number', positive: true },
+
+  file: { type: 'section' },
+  'file.dir': { type: 'string' },
+  'file.maxBytes': { type: 'number', positive: true },
+  'file.maxFiles': { type: 'number', positive: true },
+
+  log: { type: 'section' },
+  'log.level': { type: 'choice', values: LEVELS },
+  'log.format': { type: 'choice', values: FORMATS },
+  'log.file': { type: 'string' },
+  'log.maxBytes': { type: 'number', positive: true },
+  'log.maxFiles': { type: 'number', positive: true },
+  'log.maxAgeDays': { type: 'number', positive: true },
+
+  profiles: { type: 'section' },
+  'profiles.*': { type: 'section' },
+  routes: { type: 'routes' }
+};
+
+// Keys a Langfuse sink cannot send without
+const CREDENTIAL_KEYS = ['host', 'publicKey', 'secretKey'];
+
+// Keys that select or authenticate where events go. A profile replaces
+// all of them, so its projects never reach the top-level destination.
+const DESTINATION_KEYS = ['sink', 'host', 'publicKey', 'secretKey', 'otlp', 'file'];
+
+// Ways to give the secret key without writing it into config.json
+const SECRET_SOURCES = ['secretKeyFile', 'secretKeyCommand'];
+
+// What a profile may set; anything else comes from the top level
+const PROFILE_KEYS = [...DESTINATION_KEYS, ...SECRET_SOURCES, 'userId'];
+
+// Lowest layer of the effective config
+const DEFAULTS = { host: 'http://localhost:3001' };
+
+// Environment variables read into keys; the first one set wins.
+// LANGFUSE_BASE_URL is the name current Langfuse SDKs use for the host.
+const ENV_VARS = {
+  host: ['LANGFUSE_BASE_URL', 'LANGFUSE_HOST'],
+  publicKey: ['LANGFUSE_PUBLIC_KEY'],
+  secretKey: ['LANGFUSE_SECRET_KEY'],
+  secretKeyFile: ['LANGFUSE_SECRET_KEY_FILE'],
+  userId: ['CLAUDE_LANGFUSE_USER_ID'],
+  'log.level': ['CLAUDE_LANGFUSE_LOG_LEVEL'],
+  'log.format': ['CLAUDE_LANGFUSE_LOG_FORMAT'],
+  'log.file': ['CLAUDE_LANGFUSE_LOG_FILE']
+};
+
+// Sections a later layer adds to instead of replacing, so that one
+// environment variable or flag overrides one key of config.json's section
+const MERGED_SECTIONS = ['log'];
+
+const SECRET_COMMAND_TIMEOUT_MS = 10 * 1000;
+
+// The top-level destination, used for projects no route matches
+const DEFAULT_PROFILE = 'default';
+
+function getConfigPath() {
+  return path.join(os.homedir(), '.claude-langfuse', 'config.json');
+}
+
+function getDotenvPath() {
+  return path.join(os.homedir(), '.claude-langfuse', '.env');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * `pk-lf-1234...abcd` - enough to tell keys apart, not to use them.
+ */
+function maskSecret(value) {
+  if (!value) {
+    return '(not set)';
+  }
+  return value.length > 12 ? `${value.slice(0, 6)}…${value.slice(-4)}` : '…';
+}
+
+function findField(key) {
+  const parts = key.split('.');
+
+  // `profiles.<name>.host` is checked like `host`
+  if (parts[0] === 'profiles' && parts.length > 2) {
+    return PROFILE_KEYS.includes(parts[2]) ? findField(parts.slice(2).join('.')) : undefined;
+  }
+
+  const pattern = Object.keys(FIELDS).find(candidate => {
+    const candidateParts = candidate.split('.');
+    return candidateParts.length === parts.length &&
+      candidateParts.every((part, index) => part === '*' || part === parts[index]);
+  });
+  return pattern ? FIELDS[pattern] : undefined;
+}
+
+/**
+ * What is wrong with `value` for `field`, or null when it is fine.
+ */
+function checkField(field, value) {
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      return field.prefix && !value.startsWith(field.prefix) ? `must start with ${field.prefix}` : null;
+    case 'url':
+      return isHttpUrl(value) ? null : 'must be an http(s) URL';
+    case 'choice':
+      return field.values.includes(value) ? null : `must be one of: ${field.values.join(', ')}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'number':
+      if (field.positive) {
+        return typeof value === 'number' && value > 0 ? null : 'must be a positive number';
+      }
+      return typeof value === 'number' && value >= 0 ? null : 'must be a number of at least 0';
+    case 'list':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return `must be a list of ${field.of}`;
+      }
+      if (field.values) {
+        const unknown = value.filter(item => !field.values.includes(item));
+        return unknown.length > 0 ? `has unknown ${field.of}: ${unknown.join(', ')}` : null;
+      }
+      return null;
+    case 'headers':
+      return isPlainObject(value) && Object.values(value).every(header => typeof header === 'string')
+        ? null
+        : 'must be an object of header names to strings';
+    case 'rules':
+      if (!Array.isArray(value) || !value.every(rule => isPlainObject(rule) && typeof rule.pattern === 'string')) {
+        return 'must be a list of { name, pattern, flags, replacement } objects';
+      }
+      try {
+        compileRules({ rules: value });
+        return null;
+      } catch (error) {
+        return `has an ${error.message.charAt(0).toLowerCase()}${error.message.slice(1)}`;
+      }
+    case 'routes':
+      return Array.isArray(value) && value.every(route => {
+        return isPlainObject(route) && typeof route.match === 'string' && typeof route.profile === 'string';
+      })
+        ? null
+        : 'must be a list of { match, profile } objects';
+    case 'section':
+      if (field.disable && value === false) {
+        return null;
+      }
+      return isPlainObject(value) ? null : `must be ${field.disable ? 'false or ' : ''}an object`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Every value in `config` as `[key, value]` pairs with dotted keys, in file
+ * order. Sections are walked into; lists, header maps and unknown objects
+ * are single values.
+ */
+function flattenConfig(config, prefix = '') {
+  const entries = [];
+
+  for (const [name, value] of Object.entries(config)) {
+    const key = `${prefix}${name}`;
+    const field = findField(key);
+    if (isPlainObject(value) && (!field || field.type === 'section')) {
+      entries.push(...flattenConfig(value, `${key}.`));
+    } else {
+      entries.push([key, value]);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Problems that would stop a monitor from working with `config`, as
+ * readable messages. Empty when the config is usable. Unknown keys are
+ * ignored. Dry runs send nothing and pass `requireCredentials: false`, as
+ * does `config set` while the keys are still being filled in.
+ */
+function validateConfig(config, { requireCredentials = true } = {}) {
+  if (!isPlainObject(config)) {
+    return ['config must be a JSON object'];
+  }
+
+  const problems = [];
+  const check = (key, value) => {
+    const field = findField(key);
+    const problem = field && checkField(field, value);
+    if (problem) {
+      problems.push(`${key} ${problem}`);
+    }
+    return !problem;
+  };
+
+  // Sections are checked as a whole before their keys
+  const walk = (object, prefix) => {
+    for (const [name, value] of Object.entries(object)) {
+      const key = `${prefix}${name}`;
+      const field = findField(key);
+      if (field && field.type === 'section') {
+        if (check(key, value) && isPlainObject(value)) {
+          walk(value, `${key}.`);
+        }
+      } else {
+        check(key, value);
+      }
+    }
+  };
+  walk(config, '');
+
+  const profiles = isPlainObject(config.profiles) ? config.profiles : {};
+  const destinations = [['', config], ...Object.entries(profiles).map(([name, profile]) => [`profiles.${name}.`, profile])];
+  for (const [prefix, destination] of destinations) {
+    const given = ['secretKey', ...SECRET_SOURCES].filter(key => isPlainObject(destination) && destination[key] !== undefined);
+    if (given.length > 1) {
+      problems.push(`set only one of ${given.map(key => `${prefix}${key}`).join(', ')}`);
+    }
+  }
+
+  if (profiles[DEFAULT_PROFILE]) {
+    problems.push(`profiles.${DEFAULT_PROFILE} is reserved for the top-level settings`);
+  }
+  if (Array.isArray(config.routes)) {
+    for (const route of config.routes) {
+      if (route && typeof route.profile === 'string' && route.profile !== DEFAULT_PROFILE && !profiles[route.profile]) {
+        problems.push(`routes: no profile named "${route.profile}"`);
+      }
+    }
+  }
+
+  if (requireCredentials) {
+    for (const [prefix, destination] of destinations) {
+      if (!isPlainObject(destination) || (destination.sink || 'langfuse') !== 'langfuse') {
+        continue;
+      }
+      for (const key of CREDENTIAL_KEYS) {
+        if (!destination[key]) {
+          problems.push(`${prefix}${key} is required`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * The config a profile sends with: the top-level settings with the
+ * profile's destination and user id in place of the top-level ones.
+ * `default` is the top level itself.
+ */
+function resolveProfile(config, name) {
+  if (name === DEFAULT_PROFILE) {
+    return config;
+  }
+
+  const profile = (config.profiles || {})[name];
+  if (!profile) {
+    throw new Error(`No profile named "${name}" in config.json`);
+  }
+
+  const resolved = { ...config };
+  for (const key of [...DESTINATION_KEYS, ...SECRET_SOURCES]) {
+    delete resolved[key];
+  }
+  for (const key of PROFILE_KEYS) {
+    if (profile[key] !== undefined) {
+      resolved[key] = profile[key];
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Names of every destination in `config`, the top level first.
+ */
+function listProfiles(config) {
+  return [DEFAULT_PROFILE, ...Object.keys(config.profiles || {})];
+}
+
+function parseJson(key, text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${key} must be given as JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Turn command-line words into a value for `key`. Lists take every word,
+ * or one JSON array; sections, header maps and rules take JSON. Values of
+ * the wrong type are passed through for validation to report.
+ */
+function parseValue(key, values) {
+  const field = findField(key);
+  if (!field) {
+    throw new Error(`Unknown config key: ${key}`);
+  }
+
+  if (field.type === 'list') {
+    return values.length === 1 && values[0].trim().startsWith('[') ? parseJson(key, values[0]) : values;
+  }
+  if (values.length !== 1) {
+    throw new Error(`${key} takes a single value`);
+  }
+
+  const [text] = values;
+  switch (field.type) {
+    case 'number':
+      return text.trim() === '' ? text : Number(text);
+    case 'boolean':
+      return { true: true, false: false }[text] ?? text;
+    case 'string':
+    case 'url':
+    case 'choice':
+      return text;
+    default:
+      return text === 'false' ? false : parseJson(key, text);
+  }
+}
+
+function getConfigValue(config, key) {
+  return key.split('.').reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), config);
+}
+
+/**
+ * A copy of `config` with `key` set from command-line `values`. Throws
+ * when the key is unknown or the result does not validate.
+ */
+function setConfigValue(config, key, values) {
+  const value = parseValue(key, values);
+  const next = JSON.parse(JSON.stringify(config));
+  const parts = key.split('.');
+
+  let section = next;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(section[part])) {
+      section[part] = {};
+    }
+    section = section[part];
+  }
+  section[parts[parts.length - 1]] = value;
+
+  const problems = validateConfig(next, { requireCredentials: false });
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  return next;
+}
+
+/**
+ * A copy of `config` without `key`, dropping sections it leaves empty.
+ * Any key can be removed, including ones the schema does not know.
+ */
+function unsetConfigValue(config, key) {
+  if (getConfigValue(config, key) === undefined) {
+    throw new Error(`${key} is not set`);
+  }
+
+  const next = JSON.parse(JSON.stringify(config));
+  const parts = key.split('.');
+  const sections = [next];
+  for (const part of parts.slice(0, -1)) {
+    sections.push(sections[sections.length - 1][part]);
+  }
+
+  delete sections[sections.length - 1][parts[parts.length - 1]];
+  for (let index = sections.length - 1; index > 0; index--) {
+    if (Object.keys(sections[index]).length > 0) {
+      break;
+    }
+    delete sections[index - 1][parts[index - 1]];
+  }
+
+  return next;
+}
+
+/**
+ * `value` with every secret in it masked, including those inside a
+ * section such as `profiles.<name>`. Headers carry credentials, so each
+ * of their values is masked.
+ */
+function maskValue(key, value) {
+  const field = findField(key);
+  if (field && field.secret && !isPlainObject(value)) {
+    return maskSecret(value);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([name, inner]) => {
+      return [name, field && field.secret ? maskSecret(inner) : maskValue(`${key}.${name}`, inner)];
+    }));
+  }
+  return value;
+}
+
+/**
+ * How a value is shown by `config get/list`: strings as they are,
+ * everything else as JSON, secrets masked.
+ */
+function formatConfigValue(key, value) {
+  const masked = maskValue(key, value);
+  return typeof masked === 'string' ? masked : JSON.stringify(masked);
+}
+
+/**
+ * config.json as an object, or an empty one when there is no file yet.
+ */
+function readConfigFile(configFile = getConfigPath()) {
+  if (!fs.existsSync(configFile)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`${configFile} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Replace config.json, readable only by the current user since it holds
+ * the secret key. The file is swapped in whole so a watching monitor never
+ * reads half of it.
+ */
+function writeConfigFile(config, configFile = getConfigPath()) {
+  fs.mkdirSync(path.dirname(configFile), { recursive: true, mode: 0o700 });
+
+  const tmpFile = `${configFile}.tmp`;
+  fs.writeFileSync(tmpFile, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  fs.chmodSync(tmpFile, 0o600);
+  fs.renameSync(tmpFile, configFile);
+}
+
+/**
+ * `KEY=value` lines of a .env file, with optional `export` and quotes.
+ */
+function parseDotenv(text) {
+  const vars = {};
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      continue;
+    }
+    const quoted = match[2].match(/^(['"])(.*)\1$/);
+    vars[match[1]] = quoted ? quoted[2] : match[2].replace(/\s+#.*$/, '');
+  }
+
+  return vars;
+}
+
+function envLayer(vars, label) {
+  const layer = {};
+  const sources = {};
+
+  for (const [key, names] of Object.entries(ENV_VARS)) {
+    const name = names.find(candidate => vars[candidate]);
+    if (name) {
+      const [section, sectionKey] = key.split('.');
+      if (sectionKey) {
+        layer[section] = { ...layer[section], [sectionKey]: vars[name] };
+      } else {
+        layer[key] = vars[name];
+      }
+      sources[key] = `${label} ${name}`;
+    }
+  }
+
+  return { layer, sources };
+}
+
+/**
+ * The secret key `secretKeyFile` or `secretKeyCommand` in `settings`
+ * points at, or undefined when neither is set.
+ */
+function readSecret(settings, prefix = '') {
+  if (settings.secretKeyFile !== undefined) {
+    const file = expandHome(settings.secretKeyFile);
+    try {
+      return fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+      throw new Error(`Could not read ${prefix}secretKeyFile: ${error.message}`);
+    }
+  }
+
+  if (settings.secretKeyCommand !== undefined) {
+    try {
+      return execSync(settings.secretKeyCommand, {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: SECRET_COMMAND_TIMEOUT_MS
+      }).trim();
+    } catch (error) {
+      const detail = (error.stderr && error.stderr.trim()) || error.message;
+      throw new Error(`${prefix}secretKeyCommand failed: ${detail}`);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * The effective config and where each value came from. Later layers
+ * replace whole top-level keys of earlier ones, except that keys in the
+ * `log` section are replaced one at a time:
+ *
+ * 1. defaults
+ * 2. config.json
+ * 3. ~/.claude-langfuse/.env (`LANGFUSE_*` lines)
+ * 4. environment variables, which win over the .env file
+ * 5. `flags`, from the command line
+ *
+ * `secretKeyFile` and `secretKeyCommand` are replaced by the secret key
+ * they produce, at the precedence of the layer that set them. `sources`
+ * maps dotted keys to a label such as `config.json` or `env LANGFUSE_HOST`.
+ */
+function resolveConfig({
+  env = process.env,
+  flags = {},
+  configFile = getConfigPath(),
+  dotenvFile = getDotenvPath()
+} = {}) {
+  const layers = [];
+  const labelled = (layer, label) => ({
+    layer,
+    sources: Object.fromEntries(flattenConfig(layer).map(([key]) => [key, label]))
+  });
+
+  layers.push(labelled(DEFAULTS, 'default'));
+  layers.push(labelled(readConfigFile(configFile), 'config.json'));
+  if (fs.existsSync(dotenvFile)) {
+    layers.push(envLayer(parseDotenv(fs.readFileSync(dotenvFile, 'utf8')), '.env'));
+  }
+  layers.push(envLayer(env, 'env'));
+  layers.push(labelled(Object.fromEntries(Object.entries(flags).filter(([, value]) => value !== undefined)), 'flag'));
+
+  let config = {};
+  let sources = {};
+  for (const { layer, sources: layerSources } of layers) {
+    const merged = {};
+    for (const key of MERGED_SECTIONS) {
+      if (isPlainObject(layer[key]) && isPlainObject(config[key])) {
+        merged[key] = { ...config[key], ...layer[key] };
+      }
+    }
+    const replaced = Object.keys(layer).filter(key => !(key in merged));
+    // A secret source or key in a later layer replaces any earlier one
+    if (replaced.some(key => key === 'secretKey' || SECRET_SOURCES.includes(key))) {
+      replaced.push('secretKey', ...SECRET_SOURCES);
+    }
+    for (const key of replaced) {
+      delete config[key];
+    }
+    sources = Object.fromEntries(Object.entries(sources).filter(([key]) => !replaced.includes(key.split('.')[0])));
+
+    config = { ...config, ...layer, ...merged };
+    sources = { ...sources, ...layerSources };
+  }
+
+  // Swap secret sources for the key they produce
+  const withSecret = (settings, prefix) => {
+    const secretKey = isPlainObject(settings) ? readSecret(settings, prefix) : undefined;
+    if (secretKey === undefined) {
+      return settings;
+    }
+    const source = SECRET_SOURCES.find(key => settings[key] !== undefined);
+    sources[`${prefix}secretKey`] = `${sources[`${prefix}${source}`]} (${source})`;
+    const resolved = { ...settings, secretKey };
+    for (const key of SECRET_SOURCES) {
+      delete resolved[key];
+      delete sources[`${prefix}${key}`];
+    }
+    return resolved;
+  };
+
+  config = withSecret(config, '');
+  if (isPlainObject(config.profiles)) {
+    config.profiles = Object.fromEntries(Object.entries(config.profiles).map(([name, profile]) => {
+      return [name, withSecret(profile, `profiles.${name}.`)];
+    }));
+  }
+
+  return { config, sources };
+}
+
+function formatValue(value) {
+  return value === undefined ? '(unset)' : JSON.stringify(value);
+}
+
+/**
+ * One line per top-level key that differs between two configs, e.g.
+ * `host: "http://a" → "http://b"`. Secrets and whole sections are only
+ * reported as changed.
+ */
+function describeChanges(previous = {}, next = {}) {
+  const keys = [...new Set([...Object.keys(previous), ...Object.keys(next)])].sort();
+
+  return keys
+    .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(next[key]))
+    .map(key => {
+      const before = previous[key];
+      const after = next[key];
+      const field = findField(key);
+      if ((field && field.secret) || isPlainObject(before) || isPlainObject(after) ||
+          Array.isArray(before) || Array.isArray(after)) {
+        return `${key} changed`;
+      }
+      return `${key}: ${formatValue(before)} → ${formatValue(after)}`;
+    });
+}
+
+module.exports = {
+  FIELDS,
+  DESTINATION_KEYS,
+  DEFAULT_PROFILE,
+  getConfigPath,
+  getDotenvPath,
+  maskSecret,
+  validateConfig,
+  resolveProfile,
+  listProfiles,
+  flattenConfig,
+  getConfigValue,
+  setConfigValue,
+  unsetConfigValue,
+  formatConfigValue,
+  readConfigFile,
+  writeConfigFile,
+  parseDotenv,
+  resolveConfig,
+  describeChanges
+};
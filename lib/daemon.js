@@ -0,0 +1,284 @@
+/**
+ * Claude Langfuse Monitor - Daemon
+ *
+ * Single-instance lock, background start and stop for the monitor.
+ * The lock file records the running monitor's pid and command line so
+ * `stop`, `restart` and `logs` can find it, and so a second monitor
+ * refuses to start instead of sending every event twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+
+// Set in the environment of a detached monitor so it does not detach again
+const DAEMON_ENV = 'CLAUDE_LANGFUSE_DAEMON';
+
+// How often a waiting `start --daemon` or `stop` looks at the process again
+const POLL_INTERVAL_MS = 100;
+
+// Bytes read from the end of a log to find its last lines
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+function getLockPath() {
+  return path.join(os.homedir(), '.claude-langfuse', 'monitor.lock');
+}
+
+function getDaemonLogPath() {
+  return path.join(os.homedir(), '.claude-langfuse', 'monitor.log');
+}
+
+// Output that does not go through the logger: startup errors and crashes
+function getDaemonErrorLogPath() {
+  return path.join(os.homedir(), '.claude-langfuse', 'monitor-error.log');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a process with this pid exists. A process we may not signal
+ * (EPERM) still counts as running.
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * The lock file's contents, or null when it is missing or unreadable.
+ */
+function readLock(file = getLockPath()) {
+  try {
+    const lock = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return lock && Number.isInteger(lock.pid) ? lock : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The monitor holding the lock, or null when none is running. A lock
+ * left behind by a monitor that crashed does not count.
+ */
+function findRunning(file = getLockPath()) {
+  const lock = readLock(file);
+  return lock && isAlive(lock.pid) ? lock : null;
+}
+
+class PidLock {
+  constructor(file = getLockPath()) {
+    this.file = file;
+    this.held = false;
+  }
+
+  /**
+   * Take the lock for this process, replacing a stale one. Throws when
+   * another live monitor holds it.
+   */
+  acquire(info = {}) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    const lock = {
+      pid: process.pid,
+      argv: process.argv.slice(1),
+      startedAt: new Date().toISOString(),
+      ...info
+    };
+
+    // Two tries: the second follows removing a stale lock
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(this.file, JSON.stringify(lock, null, 2), { flag: 'wx', mode: 0o600 });
+        this.held = true;
+        return lock;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const holder = readLock(this.file);
+      if (holder && holder.pid !== process.pid && isAlive(holder.pid)) {
+        throw new Error(`Another monitor is already running (pid ${holder.pid}) - stop it with: claude-langfuse stop`);
+      }
+      fs.rmSync(this.file, { force: true });
+    }
+
+    throw new Error(`Could not take the lock: ${this.file}`);
+  }
+
+  /**
+   * Remove the lock if this process still holds it.
+   */
+  release() {
+    if (!this.held) {
+      return;
+    }
+    this.held = false;
+    const holder = readLock(this.file);
+    if (holder && holder.pid === process.pid) {
+      fs.rmSync(this.file, { force: true });
+    }
+  }
+}
+
+/**
+ * Run `argv` (a script and its arguments) in a new detached node process
+ * with stdout and stderr appended to `logFile`. The monitor writes its
+ * own log; this only catches what happens outside it.
+ */
+function spawnDaemon(argv, logFile = getDaemonErrorLogPath()) {
+  fs.mkdirSync(path.dirname(logFile), { recursive: true, mode: 0o700 });
+  const fd = fs.openSync(logFile, 'a', 0o600);
+
+  try {
+    const child = spawn(process.execPath, argv, {
+      detached: true,
+      stdio: ['ignore', fd, fd],
+      cwd: os.homedir(),
+      env: { ...process.env, [DAEMON_ENV]: '1' }
+    });
+    child.unref();
+    return child;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Wait until `child` holds the lock. Resolves to `{ started: true }`, or
+ * to `{ started: false, code }` when it exits first or the wait times out.
+ */
+function waitForLock(child, { file = getLockPath(), timeoutMs = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + timeoutMs;
+    let timer = null;
+
+    const onExit = (code) => {
+      clearTimeout(timer);
+      resolve({ started: false, code });
+    };
+    child.once('exit', onExit);
+
+    const check = () => {
+      const lock = readLock(file);
+      if (lock && lock.pid === child.pid) {
+        child.removeListener('exit', onExit);
+        resolve({ started: true });
+      } else if (Date.now() > deadline) {
+        child.removeListener('exit', onExit);
+        resolve({ started: false, code: null });
+      } else {
+        timer = setTimeout(check, POLL_INTERVAL_MS);
+      }
+    };
+    check();
+  });
+}
+
+/**
+ * Send SIGTERM and wait for the process to exit, so its last flush is
+ * not cut short. Resolves to false when it is still running after
+ * `timeoutMs`.
+ */
+async function stopProcess(pid, { timeoutMs = 30000 } = {}) {
+  try {
+    process.kill(pid, 'SIGTERM');
+  } catch (error) {
+    if (error.code === 'ESRCH') {
+      return true;
+    }
+    throw error;
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  while (isAlive(pid)) {
+    if (Date.now() > deadline) {
+      return false;
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+  return true;
+}
+
+/**
+ * The last `count` lines of a file, reading only its end.
+ */
+function readLastLines(file, count) {
+  const size = fs.statSync(file).size;
+  const length = Math.min(size, TAIL_CHUNK_BYTES);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const lines = buffer.toString('utf8').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  // Without the whole file the first line may be cut off
+  if (length < size) {
+    lines.shift();
+  }
+  return count > 0 ? lines.slice(-count) : [];
+}
+
+/**
+ * Call `onData` with whatever is appended to `file` from now on, starting
+ * over when it is truncated or replaced by a new file after rotation. Returns a function that stops following.
+ */
+function followFile(file, onData, { intervalMs = 500 } = {}) {
+  let position = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  const poll = () => {
+    let size;
+    try {
+      size = fs.statSync(file).size;
+    } catch (error) {
+      // Moved aside by rotation and not written again yet
+      return;
+    }
+    if (size < position) {
+      position = 0;
+    }
+    if (size === position) {
+      return;
+    }
+
+    const buffer = Buffer.alloc(size - position);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, position);
+    } finally {
+      fs.closeSync(fd);
+    }
+    position = size;
+    onData(buffer.toString('utf8'));
+  };
+
+  const timer = setInterval(poll, intervalMs);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  DAEMON_ENV,
+  PidLock,
+  getLockPath,
+  getDaemonLogPath,
+  getDaemonErrorLogPath,
+  isAlive,
+  readLock,
+  findRunning,
+  spawnDaemon,
+  waitForLock,
+  stopProcess,
+  readLastLines,
+  followFile
+};
@@ -0,0 +1,447 @@
+/**
+ * Claude Langfuse Monitor - Doctor
+ *
+ * End-to-end diagnostics for `claude-langfuse doctor`: where transcripts
+ * are, whether they still look like what the monitor understands, whether
+ * the config is safe and valid, and whether a trace actually makes it to
+ * the destination. The report is plain text so it can be pasted into an
+ * issue; secrets are masked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { version } = require('../package.json');
+const { createSink } = require('./sinks');
+const { getConfigPath, maskSecret, DEFAULT_PROFILE } = require('./config');
+
+const KNOWN_ENTRY_TYPES = ['user', 'assistant', 'system', 'summary', 'file-history-snapshot', 'queue-operation'];
+const KNOWN_BLOCK_TYPES = [
+  'text', 'thinking', 'redacted_thinking', 'tool_use', 'tool_result', 'image', 'document',
+  'server_tool_use', 'web_search_tool_result'
+];
+
+// Most recent transcripts parsed for schema drift, and how much of each
+const SAMPLE_FILES = 5;
+const SAMPLE_BYTES = 1024 * 1024;
+
+const HOUR_MS = 3600 * 1000;
+const AGE_BUCKETS = [
+  ['last hour', HOUR_MS],
+  ['last day', 24 * HOUR_MS],
+  ['last week', 7 * 24 * HOUR_MS],
+  ['older', Infinity]
+];
+
+const READ_BACK_TIMEOUT_MS = 30 * 1000;
+const READ_BACK_INTERVAL_MS = 2 * 1000;
+
+const STATUS_LABELS = { ok: '[OK]  ', warn: '[WARN]', fail: '[FAIL]', skip: '[SKIP]' };
+
+function check(name, status, summary, details = []) {
+  return { name, status, summary, details };
+}
+
+function countBy(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts).map(([key, count]) => `${key} (${count})`).join(', ');
+}
+
+function readHead(filepath) {
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_BYTES, 0);
+    const text = buffer.subarray(0, bytesRead).toString('utf8');
+    // Drop a line cut off by the sample size
+    return bytesRead === SAMPLE_BYTES ? text.slice(0, text.lastIndexOf('\n')) : text;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function checkConfigFile() {
+  const configPath = getConfigPath();
+
+  if (!fs.existsSync(configPath)) {
+    return check('Config file', 'warn', `${configPath} not found - using LANGFUSE_* environment variables`);
+  }
+
+  const details = [];
+  let status = 'ok';
+
+  const mode = fs.statSync(configPath).mode & 0o777;
+  details.push(`permissions ${mode.toString(8).padStart(4, '0')}`);
+  if (process.platform !== 'win32' && (mode & 0o077) !== 0) {
+    status = 'warn';
+    details.push(`readable by other users - run: chmod 600 ${configPath}`);
+  }
+
+  try {
+    JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    return check('Config file', 'fail', `${configPath} is not valid JSON: ${error.message}`, details);
+  }
+
+  return check('Config file', status, configPath, details);
+}
+
+function checkCredentials(config) {
+  if ((config.sink || 'langfuse') !== 'langfuse') {
+    return check('Credentials', 'skip', `not needed for the ${config.sink} sink`);
+  }
+
+  const details = [
+    `host ${config.host || '(not set)'}`,
+    `public key ${maskSecret(config.publicKey)}`,
+    `secret key ${maskSecret(config.secretKey)}`
+  ];
+
+  if (!config.publicKey || !config.secretKey) {
+    return check('Credentials', 'fail', 'public or secret key missing - run: claude-langfuse config', details);
+  }
+
+  const problems = [];
+  if (!config.publicKey.startsWith('pk-lf-')) {
+    problems.push('public key does not start with pk-lf-');
+  }
+  if (!config.secretKey.startsWith('sk-lf-')) {
+    problems.push('secret key does not start with sk-lf-');
+  }
+  if (problems.length > 0) {
+    return check('Credentials', 'warn', problems.join('; '), details);
+  }
+
+  return check('Credentials', 'ok', 'keys configured', details);
+}
+
+function checkProjects(monitor) {
+  let projects;
+  try {
+    projects = monitor.listProjects();
+  } catch (error) {
+    return check('Claude projects', 'fail', error.message, ['Run Claude Code once to create it']);
+  }
+
+  const tracked = projects.filter(project => project.tracked);
+  const details = projects
+    .filter(project => !project.tracked)
+    .map(project => `excluded ${project.projectPath} (${project.reason})`);
+
+  return check(
+    'Claude projects',
+    tracked.length > 0 ? 'ok' : 'warn',
+    `${monitor.getClaudeProjectsDir()}: ${tracked.length} of ${projects.length} projects tracked`,
+    details
+  );
+}
+
+/**
+ * Tracked transcripts counted by last modification, newest first.
+ */
+function checkTranscripts(monitor, now) {
+  const mtimes = new Map();
+  const { transcripts } = monitor.findTranscripts((filepath, stat) => {
+    mtimes.set(filepath, stat.mtimeMs);
+    return true;
+  });
+
+  const counts = AGE_BUCKETS.map(([label]) => [label, 0]);
+  for (const filepath of transcripts) {
+    const age = now - mtimes.get(filepath);
+    counts[AGE_BUCKETS.findIndex(([, limit]) => age < limit)][1]++;
+  }
+
+  const subagents = transcripts.filter(filepath => path.basename(filepath).startsWith('agent-')).length;
+  const summary = `${transcripts.length} transcripts: ${counts.map(([label, count]) => `${count} ${label}`).join(', ')}`;
+  const details = subagents > 0 ? [`${subagents} subagent transcripts`] : [];
+  const newest = transcripts.slice().sort((a, b) => mtimes.get(b) - mtimes.get(a));
+
+  return {
+    result: check('Transcripts', transcripts.length > 0 ? 'ok' : 'warn', summary, details),
+    newest
+  };
+}
+
+/**
+ * Parse the head of the newest transcripts and flag anything the monitor
+ * would not understand: unknown entry or content block types, and user or
+ * assistant entries missing the fields it relies on.
+ */
+function checkSchema(files) {
+  if (files.length === 0) {
+    return check('Transcript schema', 'skip', 'no transcripts to sample');
+  }
+
+  let entries = 0;
+  let invalidLines = 0;
+  const types = {};
+  const unknownTypes = {};
+  const unknownBlocks = {};
+  const missingFields = {};
+
+  for (const filepath of files) {
+    for (const line of readHead(filepath).split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        invalidLines++;
+        continue;
+      }
+
+      entries++;
+      countBy(types, entry.type);
+      if (!KNOWN_ENTRY_TYPES.includes(entry.type)) {
+        countBy(unknownTypes, String(entry.type));
+        continue;
+      }
+      if (entry.type !== 'user' && entry.type !== 'assistant') {
+        continue;
+      }
+
+      for (const field of ['uuid', 'timestamp', 'message']) {
+        if (entry[field] === undefined) {
+          countBy(missingFields, `${entry.type}.${field}`);
+        }
+      }
+
+      const content = entry.message && entry.message.content;
+      if (Array.isArray(content)) {
+        for (const block of content) {
+          if (!KNOWN_BLOCK_TYPES.includes(block && block.type)) {
+            countBy(unknownBlocks, String(block && block.type));
+          }
+        }
+      } else if (entry.message && typeof content !== 'string' && typeof entry.message.text !== 'string') {
+        countBy(missingFields, `${entry.type}.message.content`);
+      }
+    }
+  }
+
+  const details = [`entry types: ${formatCounts(types)}`];
+  if (invalidLines > 0) {
+    details.push(`unparseable lines: ${invalidLines}`);
+  }
+  if (Object.keys(unknownTypes).length > 0) {
+    details.push(`unknown entry types: ${formatCounts(unknownTypes)}`);
+  }
+  if (Object.keys(unknownBlocks).length > 0) {
+    details.push(`unknown content blocks: ${formatCounts(unknownBlocks)}`);
+  }
+  if (Object.keys(missingFields).length > 0) {
+    details.push(`missing fields: ${formatCounts(missingFields)}`);
+  }
+
+  const drift = details.length > 1;
+  return check(
+    'Transcript schema',
+    drift ? 'warn' : 'ok',
+    `${entries} entries sampled from ${files.length} transcripts${drift ? ' - possible schema drift' : ''}`,
+    details
+  );
+}
+
+async function checkConnectivity(sink) {
+  const result = await sink.check();
+  const details = [`destination ${sink.destination}`];
+
+  if (!result.ok) {
+    return check('Connectivity', 'fail', result.error, result.hint ? [...details, result.hint] : details);
+  }
+
+  if (result.version) {
+    details.push(`server version ${result.version}`);
+  }
+  if (result.project) {
+    details.push(`project ${result.project}`);
+  }
+  return check('Connectivity', 'ok', `${sink.name} reachable in ${result.latencyMs} ms`, details);
+}
+
+/**
+ * Send a synthetic trace through the sink and, where the sink can be
+ * queried, poll until it can be read back.
+ */
+async function checkTestTrace(sink, { timeoutMs, intervalMs, now }) {
+  const traceId = `doctor-${crypto.randomUUID()}`;
+  const timestamp = new Date(now).toISOString();
+  const event = {
+    type: 'trace-create',
+    id: crypto.randomUUID(),
+    timestamp,
+    body: {
+      id: traceId,
+      name: 'claude_langfuse_doctor',
+      timestamp,
+      tags: ['doctor'],
+      metadata: { source: 'claude_langfuse_doctor', version }
+    }
+  };
+
+  const started = Date.now();
+  const { failed, error } = await sink.send([event]);
+  if (failed.length > 0) {
+    return check('Test trace', 'fail', `sending failed: ${error.message}`, [`trace ${traceId}`]);
+  }
+
+  if (typeof sink.readTrace !== 'function') {
+    return check('Test trace', 'ok', `sent to ${sink.name} (read-back not supported)`, [`trace ${traceId}`]);
+  }
+
+  let lastError;
+  while (Date.now() - started < timeoutMs) {
+    try {
+      await sink.readTrace(traceId);
+      const elapsed = Date.now() - started;
+      if (typeof sink.deleteTrace === 'function') {
+        // Best effort - a leftover test trace is tagged `doctor` and harmless
+        await sink.deleteTrace(traceId).catch(() => {});
+      }
+      return check('Test trace', 'ok', `sent and read back in ${elapsed} ms`, [`trace ${traceId}`]);
+    } catch (readError) {
+      lastError = readError;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  return check(
+    'Test trace',
+    'fail',
+    `sent but not readable after ${Math.round(timeoutMs / 1000)}s`,
+    [`trace ${traceId}`, lastError ? `last error: ${lastError.message}` : 'ingestion may be delayed - check the worker']
+  );
+}
+
+/**
+ * Connectivity and test trace checks for one destination, skipped when
+ * its credentials are missing.
+ */
+async function checkDestination(config, credentials, { send, now, readBackTimeoutMs, readBackIntervalMs }) {
+  if (credentials.status === 'fail') {
+    return [
+      check('Connectivity', 'skip', 'credentials missing'),
+      check('Test trace', 'skip', 'credentials missing')
+    ];
+  }
+
+  let sink;
+  try {
+    sink = createSink(config);
+  } catch (error) {
+    return [check('Connectivity', 'fail', error.message)];
+  }
+
+  const connectivity = await checkConnectivity(sink);
+
+  let testTrace;
+  if (!send) {
+    testTrace = check('Test trace', 'skip', 'disabled with --no-send');
+  } else if (connectivity.status === 'fail') {
+    testTrace = check('Test trace', 'skip', 'destination not reachable');
+  } else {
+    testTrace = await checkTestTrace(sink, { timeoutMs: readBackTimeoutMs, intervalMs: readBackIntervalMs, now });
+  }
+
+  return [connectivity, testTrace];
+}
+
+/**
+ * Run every check. `createMonitor` builds the monitor whose config and
+ * filters are diagnosed; it may throw on a broken config file.
+ */
+async function runDoctor(createMonitor, options = {}) {
+  const {
+    send = true,
+    now = Date.now(),
+    readBackTimeoutMs = READ_BACK_TIMEOUT_MS,
+    readBackIntervalMs = READ_BACK_INTERVAL_MS
+  } = options;
+
+  const report = {
+    generatedAt: new Date(now).toISOString(),
+    environment: {
+      version,
+      node: process.version,
+      platform: `${os.platform()} ${os.arch()}`
+    },
+    checks: []
+  };
+
+  report.checks.push(checkConfigFile());
+
+  let monitor;
+  try {
+    monitor = createMonitor();
+  } catch (error) {
+    report.checks.push(check('Monitor', 'fail', `cannot start: ${error.message}`));
+    return report;
+  }
+  report.environment.sink = monitor.config.sink || 'langfuse';
+
+  const credentials = checkCredentials(monitor.config);
+  report.checks.push(credentials);
+  report.checks.push(checkProjects(monitor));
+
+  let newest = [];
+  try {
+    const transcripts = checkTranscripts(monitor, now);
+    report.checks.push(transcripts.result);
+    newest = transcripts.newest;
+  } catch (error) {
+    report.checks.push(check('Transcripts', 'skip', error.message));
+  }
+  report.checks.push(checkSchema(newest.slice(0, SAMPLE_FILES)));
+
+  const destinationOptions = { send, now, readBackTimeoutMs, readBackIntervalMs };
+  report.checks.push(...await checkDestination(monitor.config, credentials, destinationOptions));
+
+  // Every profile is a destination of its own, named in its check names
+  for (const [name, config] of monitor.profiles) {
+    if (name === DEFAULT_PROFILE) {
+      continue;
+    }
+    const profileCredentials = checkCredentials(config);
+    const profileChecks = [profileCredentials, ...await checkDestination(config, profileCredentials, destinationOptions)];
+    report.checks.push(...profileChecks.map(item => ({ ...item, name: `${item.name} (profile ${name})` })));
+  }
+
+  return report;
+}
+
+function hasFailures(report) {
+  return report.checks.some(item => item.status === 'fail');
+}
+
+function formatReport(report) {
+  const { environment } = report;
+  const lines = [
+    'Claude Langfuse Monitor - doctor report',
+    `Generated ${report.generatedAt}`,
+    `Version ${environment.version} | Node ${environment.node} | ${environment.platform}${environment.sink ? ` | sink ${environment.sink}` : ''}`,
+    ''
+  ];
+
+  for (const item of report.checks) {
+    lines.push(`${STATUS_LABELS[item.status]} ${item.name}: ${item.summary}`);
+    for (const detail of item.details) {
+      lines.push(`       - ${detail}`);
+    }
+  }
+
+  const counts = {};
+  report.checks.forEach(item => countBy(counts, item.status));
+  lines.push('', `Summary: ${['ok', 'warn', 'fail', 'skip'].map(status => `${counts[status] || 0} ${status}`).join(', ')}`);
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { runDoctor, formatReport, hasFailures, maskSecret, KNOWN_ENTRY_TYPES, KNOWN_BLOCK_TYPES };
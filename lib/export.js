@@ -0,0 +1,142 @@
+/**
+ * Claude Langfuse Monitor - Export
+ *
+ * Formats the events the monitor builds as NDJSON or CSV, and selects the
+ * ones inside the time window of `claude-langfuse export`.
+ */
+
+const FORMATS = ['ndjson', 'csv'];
+
+const DURATION = /^(\d+)([mhdw])$/;
+const DURATION_MS = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000, w: 7 * 24 * 3600 * 1000 };
+
+const CSV_COLUMNS = [
+  'type', 'id', 'traceId', 'parentObservationId', 'name', 'startTime', 'endTime',
+  'project', 'conversationId', 'sessionId', 'userId', 'model',
+  'inputTokens', 'outputTokens', 'totalTokens', 'costUsd', 'input', 'output'
+];
+
+/**
+ * An ISO date or a duration before `now` such as `30m`, `12h`, `7d`, `2w`.
+ */
+function parseTime(value, now = Date.now()) {
+  const duration = DURATION.exec(value);
+  if (duration) {
+    return new Date(now - Number(duration[1]) * DURATION_MS[duration[2]]);
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${value}" (use an ISO date or a duration like 7d)`);
+  }
+  return new Date(time);
+}
+
+function eventTime(event) {
+  const body = event.body || {};
+  return Date.parse(body.timestamp || body.startTime || event.timestamp);
+}
+
+/**
+ * Events of the turns that started between `since` and `until`, so turns
+ * are exported whole. Observations whose trace is not among the events go
+ * by their own start time, and updates follow the observation they change.
+ */
+function filterByTime(events, { since, until } = {}) {
+  const inRange = time => !(since && time < since.getTime()) && !(until && time > until.getTime());
+
+  const traceTimes = new Map();
+  for (const event of events) {
+    if (event.type === 'trace-create') {
+      traceTimes.set(event.body.id, eventTime(event));
+    }
+  }
+
+  const kept = new Set();
+  return events.filter(event => {
+    const body = event.body || {};
+    if (event.type.endsWith('-update')) {
+      return kept.has(body.id);
+    }
+
+    const time = traceTimes.has(body.traceId) ? traceTimes.get(body.traceId) : eventTime(event);
+    if (!inRange(time)) {
+      return false;
+    }
+    kept.add(body.id);
+    return true;
+  });
+}
+
+function toNdjson(events) {
+  return events.map(event => `${JSON.stringify(event)}\n`).join('');
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per trace or observation, with later updates merged in.
+ */
+function toCsv(events) {
+  const rows = new Map();
+
+  for (const event of events) {
+    const [kind, action] = event.type.split('-');
+    const body = event.body || {};
+    const previous = rows.get(body.id);
+
+    if (action === 'update' && previous) {
+      rows.set(body.id, { ...previous, ...body, kind: previous.kind });
+    } else {
+      rows.set(body.id, { ...body, kind });
+    }
+  }
+
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows.values()) {
+    const metadata = row.metadata || {};
+    const usage = row.usageDetails || {};
+    const isTrace = row.kind === 'trace';
+    const record = {
+      type: isTrace ? 'trace' : row.type || row.kind,
+      id: row.id,
+      traceId: isTrace ? row.id : row.traceId,
+      parentObservationId: row.parentObservationId,
+      name: row.name,
+      startTime: isTrace ? row.timestamp : row.startTime,
+      endTime: row.endTime,
+      project: metadata.project,
+      conversationId: metadata.conversationId,
+      sessionId: row.sessionId,
+      userId: row.userId,
+      model: row.model,
+      inputTokens: usage.input,
+      outputTokens: usage.output,
+      totalTokens: usage.total,
+      costUsd: row.costDetails && row.costDetails.total,
+      input: row.input,
+      output: row.output
+    };
+    lines.push(CSV_COLUMNS.map(column => csvField(record[column])).join(','));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function formatEvents(events, format) {
+  if (format === 'ndjson') {
+    return toNdjson(events);
+  }
+  if (format === 'csv') {
+    return toCsv(events);
+  }
+  throw new Error(`Unknown format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+}
+
+module.exports = { FORMATS, parseTime, filterByTime, toNdjson, toCsv, formatEvents };
@@ -0,0 +1,191 @@
+/**
+ * Claude Langfuse Monitor - Project Filters
+ *
+ * Decides which Claude Code projects are tracked. Rules are globs on the
+ * project path, or on the project's git remote when prefixed `remote:`.
+ * A project must match an include rule (when any are given) and no
+ * exclude rule; exclude always wins. Routes use the same globs to pick
+ * the profile a tracked project is sent to.
+ */
+
+const { execFileSync } = require('child_process');
+const { expandHome } = require('./paths');
+
+const REMOTE_PREFIX = 'remote:';
+
+/**
+ * Convert a glob to a RegExp anchored at both ends. Supports `**` (any
+ * characters, including `/`), `*` (anything but `/`), `?` and `{a,b}`.
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` also matches zero directories
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i++;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = glob.slice(i + 1, end).split(',').map(option => globToRegExp(option).source.slice(1, -1));
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|[\]\\}]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function getGitRemote(projectPath) {
+  try {
+    return execFileSync('git', ['-C', projectPath, 'remote', 'get-url', 'origin'], {
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 5000
+    }).toString().trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Remotes by project path for each way of looking them up, so filters and
+// routers - and their replacements after a config reload - ask git once
+// per project between them
+const remoteCaches = new WeakMap();
+
+function cachedRemote(getRemote, projectPath) {
+  if (!remoteCaches.has(getRemote)) {
+    remoteCaches.set(getRemote, new Map());
+  }
+  const remotes = remoteCaches.get(getRemote);
+  if (!remotes.has(projectPath)) {
+    remotes.set(projectPath, getRemote(projectPath));
+  }
+  return remotes.get(projectPath);
+}
+
+/**
+ * Path rules may start with `~/` for the home directory, as in
+ * `~/client/**`.
+ */
+function compile(rules) {
+  return (rules || []).map(rule => {
+    const isRemote = rule.startsWith(REMOTE_PREFIX);
+    return {
+      rule,
+      isRemote,
+      pattern: globToRegExp(isRemote ? rule.slice(REMOTE_PREFIX.length) : expandHome(rule))
+    };
+  });
+}
+
+/**
+ * The first compiled rule matching `projectPath`, looking up the git
+ * remote through `getRemote` only when a `remote:` rule is reached.
+ */
+function findMatch(compiled, projectPath, getRemote) {
+  return compiled.find(({ isRemote, pattern }) => {
+    if (!isRemote) {
+      return pattern.test(projectPath);
+    }
+    const remote = cachedRemote(getRemote, projectPath);
+    return remote !== null && pattern.test(remote);
+  });
+}
+
+class ProjectFilter {
+  constructor({ include = [], exclude = [] } = {}, { getRemote = getGitRemote } = {}) {
+    this.include = compile(include);
+    this.exclude = compile(exclude);
+    this.getRemote = getRemote;
+    this.decisions = new Map();
+  }
+
+  get active() {
+    return this.include.length > 0 || this.exclude.length > 0;
+  }
+
+  matches(compiled, projectPath) {
+    return findMatch(compiled, projectPath, this.getRemote);
+  }
+
+  /**
+   * Returns `{ tracked, reason }`, where reason names the deciding rule.
+   * Decisions are cached per project path.
+   */
+  check(projectPath) {
+    if (this.decisions.has(projectPath)) {
+      return this.decisions.get(projectPath);
+    }
+
+    let decision = { tracked: true, reason: null };
+
+    if (this.include.length > 0) {
+      const included = this.matches(this.include, projectPath);
+      decision = included
+        ? { tracked: true, reason: `included by ${included.rule}` }
+        : { tracked: false, reason: 'not matched by any include rule' };
+    }
+
+    if (decision.tracked) {
+      const excluded = this.matches(this.exclude, projectPath);
+      if (excluded) {
+        decision = { tracked: false, reason: `excluded by ${excluded.rule}` };
+      }
+    }
+
+    this.decisions.set(projectPath, decision);
+    return decision;
+  }
+
+  isTracked(projectPath) {
+    return this.check(projectPath).tracked;
+  }
+}
+
+class ProjectRouter {
+  constructor(routes = [], { getRemote = getGitRemote } = {}) {
+    this.routes = compile(routes.map(route => route.match))
+      .map((compiled, index) => ({ ...compiled, profile: routes[index].profile }));
+    this.getRemote = getRemote;
+    this.decisions = new Map();
+  }
+
+  get active() {
+    return this.routes.length > 0;
+  }
+
+  /**
+   * Returns `{ profile, reason }` from the first matching route; profile
+   * is null when no route matches. Decisions are cached per project path.
+   */
+  route(projectPath) {
+    if (!this.decisions.has(projectPath)) {
+      const matched = findMatch(this.routes, projectPath, this.getRemote);
+      this.decisions.set(projectPath, matched
+        ? { profile: matched.profile, reason: `routed by ${matched.rule}` }
+        : { profile: null, reason: null });
+    }
+    return this.decisions.get(projectPath);
+  }
+}
+
+module.exports = { ProjectFilter, ProjectRouter, globToRegExp, getGitRemote };
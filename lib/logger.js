@@ -0,0 +1,183 @@
+/**
+ * Claude Langfuse Monitor - Logger
+ *
+ * Levelled output for the running monitor. The `pretty` format is the
+ * emoji output meant for a terminal; `json` writes one object per line
+ * for log shippers. Given a `file`, lines go there instead of the
+ * terminal, with a timestamp and level, and the file is rotated once it
+ * passes `maxBytes` or is `maxAgeDays` old.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { expandHome } = require('./paths');
+
+// Most to least severe; a logger shows its level and everything above
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const FORMATS = ['pretty', 'json'];
+
+const LOG_DEFAULTS = {
+  level: 'info',
+  format: 'pretty',
+  maxBytes: 10 * 1024 * 1024,
+  maxFiles: 5,
+  maxAgeDays: 7
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Colour codes chalk adds, and the emoji pretty messages start with;
+// neither belongs in a file or a JSON message
+const ANSI_CODES = /\x1b\[[0-9;]*m/g;
+const LEADING_ICONS = /^[\s\p{Extended_Pictographic}\uFE0F\u200D]+/u;
+
+const plain = (text) => String(text).replace(ANSI_CODES, '');
+
+/**
+ * An append-only file moved aside as `<name>-<timestamp><ext>` once it is
+ * full or too old, keeping the newest `maxFiles` of those.
+ */
+class RotatingFile {
+  constructor(filepath, options = {}) {
+    this.filepath = expandHome(filepath);
+    this.maxBytes = options.maxBytes || LOG_DEFAULTS.maxBytes;
+    this.maxFiles = options.maxFiles || LOG_DEFAULTS.maxFiles;
+    this.maxAgeMs = (options.maxAgeDays || LOG_DEFAULTS.maxAgeDays) * DAY_MS;
+    this.size = null;
+    this.startedAt = null;
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.filepath), { recursive: true });
+    try {
+      const stat = fs.statSync(this.filepath);
+      this.size = stat.size;
+      // Not every filesystem records when a file was created
+      this.startedAt = stat.birthtimeMs || Date.now();
+    } catch (error) {
+      this.size = 0;
+      this.startedAt = Date.now();
+    }
+  }
+
+  rotate() {
+    const ext = path.extname(this.filepath);
+    const base = path.basename(this.filepath, ext);
+    const dir = path.dirname(this.filepath);
+    const stamp = new Date(Date.now()).toISOString().replace(/[:.]/g, '-');
+    fs.renameSync(this.filepath, path.join(dir, `${base}-${stamp}${ext}`));
+
+    const rotated = fs.readdirSync(dir)
+      .filter(name => name.startsWith(`${base}-`) && name.endsWith(ext) && /^\d{4}-/.test(name.slice(base.length + 1)))
+      .sort();
+    for (const name of rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))) {
+      fs.unlinkSync(path.join(dir, name));
+    }
+
+    this.size = 0;
+    this.startedAt = Date.now();
+  }
+
+  write(text) {
+    if (this.size === null) {
+      this.open();
+    }
+    const tooOld = Date.now() - this.startedAt >= this.maxAgeMs;
+    if (this.size > 0 && (this.size + Buffer.byteLength(text) > this.maxBytes || tooOld)) {
+      this.rotate();
+    }
+
+    fs.appendFileSync(this.filepath, text, { mode: 0o600 });
+    this.size += Buffer.byteLength(text);
+  }
+}
+
+class Logger {
+  /**
+   * `options` is config.json's `log` section: level, format, file and
+   * the rotation limits.
+   */
+  constructor(options = {}) {
+    const settings = { ...LOG_DEFAULTS, ...options };
+    if (!LEVELS.includes(settings.level)) {
+      throw new Error(`log.level must be one of: ${LEVELS.join(', ')}`);
+    }
+    if (!FORMATS.includes(settings.format)) {
+      throw new Error(`log.format must be one of: ${FORMATS.join(', ')}`);
+    }
+    this.level = settings.level;
+    this.format = settings.format;
+    this.file = settings.file ? new RotatingFile(settings.file, settings) : null;
+  }
+
+  enabled(level) {
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Write one message. `fields.details` are indented lines under it in
+   * the pretty format; other fields only appear in JSON.
+   */
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    const { details = [], ...extra } = fields;
+    const time = new Date().toISOString();
+
+    let lines;
+    if (this.format === 'json') {
+      lines = [JSON.stringify({
+        time,
+        level,
+        msg: plain(message).replace(LEADING_ICONS, '').trim(),
+        ...extra,
+        ...(details.length > 0 ? { details: details.map(plain) } : {})
+      })];
+    } else if (this.file) {
+      const prefix = `${time} ${level.toUpperCase().padEnd(5)}`;
+      lines = [...plain(message).split('\n'), ...details.map(detail => `   ${plain(detail)}`)]
+        .filter(line => line.trim() !== '')
+        .map(line => `${prefix} ${line}`);
+    } else {
+      lines = [message, ...details.map(detail => chalk.gray(`   ${detail}`))];
+    }
+
+    if (this.file) {
+      try {
+        this.file.write(lines.join('\n') + '\n');
+        return;
+      } catch (error) {
+        // Still say it somewhere: stderr ends up in the service's own log
+        console.error(`Could not write to ${this.file.filepath}: ${error.message}`);
+      }
+    }
+
+    if (level === 'error') {
+      console.error(lines.join('\n'));
+    } else if (level === 'warn') {
+      console.warn(lines.join('\n'));
+    } else {
+      console.log(lines.join('\n'));
+    }
+  }
+}
+
+module.exports = { Logger, RotatingFile, LEVELS, FORMATS, LOG_DEFAULTS };
@@ -0,0 +1,18 @@
+/**
+ * Claude Langfuse Monitor - Paths
+ *
+ * Helpers for the paths users write in config.json and on the command
+ * line.
+ */
+
+const os = require('os');
+
+/**
+ * `filepath` with a leading `~` replaced by the home directory, as in
+ * `~/logs/monitor.log`. `~user` forms are left alone.
+ */
+function expandHome(filepath) {
+  return filepath.replace(/^~(?=$|\/)/, os.homedir());
+}
+
+module.exports = { expandHome };
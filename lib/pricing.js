@@ -0,0 +1,100 @@
+/**
+ * Claude Langfuse Monitor - Pricing
+ *
+ * Maps Anthropic `message.usage` onto Langfuse usage details and prices
+ * it with a built-in per-model table that config.json can override.
+ */
+
+// USD per million tokens. Keys are model id prefixes; the longest match wins,
+// so dated ids like claude-sonnet-4-5-20250929 resolve to their family.
+const DEFAULT_PRICES = {
+  'claude-opus-4-6': { input: 5, output: 25, cacheCreation: 6.25, cacheRead: 0.5 },
+  'claude-opus-4-5': { input: 5, output: 25, cacheCreation: 6.25, cacheRead: 0.5 },
+  'claude-opus-4': { input: 15, output: 75, cacheCreation: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheCreation: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4': { input: 1, output: 5, cacheCreation: 1.25, cacheRead: 0.1 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheCreation: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheCreation: 3.75, cacheRead: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheCreation: 1, cacheRead: 0.08 },
+  'claude-3-opus': { input: 15, output: 75, cacheCreation: 18.75, cacheRead: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheCreation: 0.3, cacheRead: 0.03 }
+};
+
+// Anthropic usage field -> [Langfuse usage key, price table key]
+const USAGE_FIELDS = {
+  input_tokens: ['input', 'input'],
+  output_tokens: ['output', 'output'],
+  cache_creation_input_tokens: ['cache_creation_input_tokens', 'cacheCreation'],
+  cache_read_input_tokens: ['cache_read_input_tokens', 'cacheRead']
+};
+
+/**
+ * Convert an Anthropic usage object into Langfuse `usageDetails`.
+ * Returns undefined when the entry carries no token counts.
+ */
+function extractUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return undefined;
+  }
+
+  const details = {};
+  for (const [field, [key]] of Object.entries(USAGE_FIELDS)) {
+    if (typeof usage[field] === 'number') {
+      details[key] = usage[field];
+    }
+  }
+
+  if (Object.keys(details).length === 0) {
+    return undefined;
+  }
+
+  details.total = Object.values(details).reduce((sum, n) => sum + n, 0);
+  return details;
+}
+
+/**
+ * Find the price for a model. `overrides` is the `pricing` section of
+ * config.json; its entries take precedence over the built-in table, and
+ * `false` disables cost calculation altogether.
+ */
+function resolvePrice(model, overrides) {
+  if (!model || overrides === false) {
+    return undefined;
+  }
+
+  const tables = [overrides || {}, DEFAULT_PRICES];
+  for (const table of tables) {
+    const match = Object.keys(table)
+      .filter(prefix => model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (match) {
+      return table[match];
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Price Langfuse usage details, returning Langfuse `costDetails` in USD.
+ */
+function calculateCost(usageDetails, price) {
+  if (!usageDetails || !price) {
+    return undefined;
+  }
+
+  const cost = {};
+  let total = 0;
+  for (const [key, priceKey] of Object.values(USAGE_FIELDS)) {
+    if (usageDetails[key] !== undefined && typeof price[priceKey] === 'number') {
+      cost[key] = (usageDetails[key] * price[priceKey]) / 1e6;
+      total += cost[key];
+    }
+  }
+
+  cost.total = total;
+  return cost;
+}
+
+module.exports = { DEFAULT_PRICES, extractUsage, resolvePrice, calculateCost };
@@ -0,0 +1,171 @@
+/**
+ * Claude Langfuse Monitor - Project Path Resolution
+ *
+ * Claude Code names each folder under ~/.claude/projects after the project
+ * directory with every non-alphanumeric character replaced by a dash, so
+ * `/home/me/my-app` and `/home/me/my/app` share one encoded name. The real
+ * path is recovered from the `cwd` recorded in the transcript, falling
+ * back to probing the filesystem for a directory that encodes to the name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Enough to cover the first few entries, which carry the cwd
+const HEAD_BYTES = 64 * 1024;
+
+// How long a project that could not be resolved falls back to the lossy
+// name before the transcript and filesystem are searched again
+const MISS_RETRY_MS = 60 * 1000;
+
+function encodeProjectPath(projectPath) {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+/**
+ * The lossy decoding used before paths were resolved. Still used for
+ * session ids so they stay stable across upgrades.
+ */
+function naiveDecode(encodedProject) {
+  return encodedProject.replace(/-/g, '/');
+}
+
+/**
+ * First `cwd` recorded in the head of a transcript, or null.
+ */
+function findTranscriptCwd(filepath) {
+  const fd = fs.openSync(filepath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, HEAD_BYTES, 0);
+    const lines = buffer.subarray(0, bytesRead).toString('utf8').split('\n');
+
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry && typeof entry.cwd === 'string') {
+          return entry.cwd;
+        }
+      } catch (e) {
+        // Blank or truncated line
+      }
+    }
+
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * `cwd` or the closest ancestor of it that encodes to `encodedProject` -
+ * the session may have moved into a subdirectory of the project.
+ */
+function matchCwd(cwd, encodedProject) {
+  let dir = cwd;
+
+  while (dir) {
+    if (encodeProjectPath(dir) === encodedProject) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+
+  return null;
+}
+
+/**
+ * Walk the filesystem from the root looking for a directory whose
+ * encoding equals `encodedProject`.
+ */
+function probeFilesystem(encodedProject, root = path.sep) {
+  const search = (dir, remaining) => {
+    if (remaining === '') {
+      return dir;
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return null;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() && !entry.isSymbolicLink()) {
+        continue;
+      }
+
+      const encoded = encodeProjectPath(entry.name);
+      if (remaining === encoded || remaining.startsWith(`${encoded}-`)) {
+        const found = search(path.join(dir, entry.name), remaining.slice(encoded.length + 1));
+        if (found) {
+          return found;
+        }
+      }
+    }
+
+    return null;
+  };
+
+  // The encoded name starts with the dash that stood for the root separator
+  if (!encodedProject.startsWith('-')) {
+    return null;
+  }
+  return search(root, encodedProject.slice(1));
+}
+
+class ProjectResolver {
+  constructor() {
+    this.cache = new Map();
+    // Encoded projects that could not be resolved, by when they were tried
+    this.misses = new Map();
+  }
+
+  /**
+   * Real path of an encoded project, resolved once per project folder.
+   * `transcriptPath` is any transcript inside it to take the cwd from.
+   */
+  resolve(encodedProject, transcriptPath, now = Date.now()) {
+    if (this.cache.has(encodedProject)) {
+      return this.cache.get(encodedProject);
+    }
+    if (this.misses.has(encodedProject) && now - this.misses.get(encodedProject) < MISS_RETRY_MS) {
+      return naiveDecode(encodedProject);
+    }
+
+    let resolved = null;
+    try {
+      const cwd = transcriptPath ? findTranscriptCwd(transcriptPath) : null;
+      resolved = (cwd && matchCwd(cwd, encodedProject)) || probeFilesystem(encodedProject);
+    } catch (error) {
+      // Unreadable transcript or filesystem - fall through to the lossy name
+    }
+
+    // Misses are retried after a while; the cwd may show up in a later
+    // write. Until then every write would probe the filesystem again
+    if (resolved) {
+      this.cache.set(encodedProject, resolved);
+      this.misses.delete(encodedProject);
+    } else {
+      this.misses.set(encodedProject, now);
+    }
+
+    return resolved || naiveDecode(encodedProject);
+  }
+}
+
+module.exports = {
+  ProjectResolver,
+  MISS_RETRY_MS,
+  encodeProjectPath,
+  naiveDecode,
+  findTranscriptCwd,
+  matchCwd,
+  probeFilesystem
+};
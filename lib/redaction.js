@@ -0,0 +1,137 @@
+/**
+ * Claude Langfuse Monitor - Redaction
+ *
+ * Scrubs secrets and PII from trace input, generation output and tool
+ * span input/output before anything leaves the machine. Built-in
+ * detectors can be switched off and extended with regex rules from the
+ * `redaction` section of config.json.
+ */
+
+const BUILTIN_DETECTORS = {
+  private_key: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  jwt: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g,
+  aws_access_key: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  aws_secret_key: /(?<=aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}/gi,
+  api_key: new RegExp([
+    'sk-ant-[A-Za-z0-9_-]{20,}',
+    '(?:sk|pk)-lf-[A-Za-z0-9-]{8,}',
+    'sk-(?:proj-)?[A-Za-z0-9_-]{20,}',
+    'gh[pousr]_[A-Za-z0-9]{36,}',
+    'github_pat_[A-Za-z0-9_]{22,}',
+    'glpat-[A-Za-z0-9_-]{20,}',
+    'xox[abposr]-[A-Za-z0-9-]{10,}',
+    'AIza[0-9A-Za-z_-]{35}'
+  ].map(p => `\\b${p}`).join('|'), 'g'),
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+};
+
+/**
+ * Compile the `redaction` config into an ordered list of rules. `false`
+ * turns redaction off; `disable` removes built-in detectors by name and
+ * `rules` adds `{ name, pattern, flags, replacement }` entries.
+ */
+function compileRules(config = {}) {
+  if (config === false || config.enabled === false) {
+    return [];
+  }
+
+  const disabled = new Set(config.disable || []);
+  const rules = Object.entries(BUILTIN_DETECTORS)
+    .filter(([name]) => !disabled.has(name))
+    .map(([name, pattern]) => ({ name, pattern, replacement: `[REDACTED:${name}]` }));
+
+  for (const [index, rule] of (config.rules || []).entries()) {
+    const name = rule.name || `rule_${index + 1}`;
+    let pattern;
+    try {
+      const flags = rule.flags || '';
+      pattern = new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`);
+    } catch (error) {
+      throw new Error(`Invalid redaction rule "${name}": ${error.message}`);
+    }
+    rules.push({ name, pattern, replacement: rule.replacement || `[REDACTED:${name}]` });
+  }
+
+  return rules;
+}
+
+class Redactor {
+  constructor(config) {
+    this.rules = compileRules(config);
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  redactString(text) {
+    let count = 0;
+    let result = text;
+
+    for (const rule of this.rules) {
+      result = result.replace(rule.pattern, () => {
+        count++;
+        return rule.replacement;
+      });
+    }
+
+    return { value: result, count };
+  }
+
+  /**
+   * Redact every string inside `value` (strings, arrays and plain objects
+   * such as tool inputs or tool_result content blocks).
+   */
+  redact(value) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+
+    if (Array.isArray(value)) {
+      let count = 0;
+      const redacted = value.map(item => {
+        const result = this.redact(item);
+        count += result.count;
+        return result.value;
+      });
+      return { value: redacted, count };
+    }
+
+    if (value && typeof value === 'object') {
+      let count = 0;
+      const redacted = {};
+      for (const [key, item] of Object.entries(value)) {
+        const result = this.redact(item);
+        count += result.count;
+        redacted[key] = result.value;
+      }
+      return { value: redacted, count };
+    }
+
+    return { value, count: 0 };
+  }
+
+  /**
+   * Redact an ingestion event body in place and record the number of
+   * redactions in its metadata.
+   */
+  redactBody(body) {
+    if (!this.enabled) {
+      return body;
+    }
+
+    let count = 0;
+    for (const field of ['input', 'output']) {
+      if (body[field] !== undefined) {
+        const result = this.redact(body[field]);
+        body[field] = result.value;
+        count += result.count;
+      }
+    }
+
+    body.metadata = { ...body.metadata, redactions: count };
+    return body;
+  }
+}
+
+module.exports = { Redactor, BUILTIN_DETECTORS, compileRules };
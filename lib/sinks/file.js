@@ -0,0 +1,94 @@
+/**
+ * Claude Langfuse Monitor - File Sink
+ *
+ * Appends events as NDJSON to ~/.claude-langfuse/events/events.ndjson, for
+ * archiving traces without a Langfuse server. The file is rotated once it
+ * passes `maxBytes`, keeping the newest `maxFiles` rotated files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { toNdjson } = require('../export');
+const { expandHome } = require('../paths');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 10;
+
+const ROTATED_FILE = /^events-.+\.ndjson$/;
+
+function getEventsDir() {
+  return path.join(os.homedir(), '.claude-langfuse', 'events');
+}
+
+class FileSink {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = options.dir ? expandHome(options.dir) : getEventsDir();
+    this.filepath = path.join(this.dir, 'events.ndjson');
+    this.destination = this.filepath;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+  }
+
+  /**
+   * Move the current file aside once it is full and drop the oldest
+   * rotated files beyond `maxFiles`.
+   */
+  rotate() {
+    let size;
+    try {
+      size = fs.statSync(this.filepath).size;
+    } catch (error) {
+      return;
+    }
+    if (size < this.maxBytes) {
+      return;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.renameSync(this.filepath, path.join(this.dir, `events-${stamp}.ndjson`));
+
+    const rotated = fs.readdirSync(this.dir).filter(name => ROTATED_FILE.test(name)).sort();
+    for (const name of rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))) {
+      fs.unlinkSync(path.join(this.dir, name));
+    }
+  }
+
+  /**
+   * Whether the events directory can be written, for `status`.
+   */
+  async check() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.accessSync(this.dir, fs.constants.W_OK);
+      return { ok: true, latencyMs: 0 };
+    } catch (error) {
+      return {
+        ok: false,
+        error: `Cannot write to ${this.dir}: ${error.message}`,
+        hint: 'Set a writable directory in file.dir in config.json'
+      };
+    }
+  }
+
+  /**
+   * The lines `send` appends for these events.
+   */
+  payload(events) {
+    return events;
+  }
+
+  async send(events) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.rotate();
+      fs.appendFileSync(this.filepath, toNdjson(events));
+      return { failed: [] };
+    } catch (error) {
+      return { failed: events, error };
+    }
+  }
+}
+
+module.exports = { FileSink, getEventsDir };
@@ -0,0 +1,33 @@
+/**
+ * Claude Langfuse Monitor - Sinks
+ *
+ * A sink is where flushed events go. Every sink takes the Langfuse
+ * ingestion events the monitor builds and exposes
+ * `send(events) -> { failed, error }`, so batching and spooling work the
+ * same whichever one is configured with `sink` in config.json. Sinks also
+ * expose `payload(events)`, what `send` would write, for dry runs, and
+ * `check() -> { ok, latencyMs, error, hint }` for `status`.
+ */
+
+const { LangfuseSink } = require('./langfuse');
+const { OtlpSink } = require('./otlp');
+const { FileSink } = require('./file');
+
+const SINKS = {
+  langfuse: config => new LangfuseSink(config),
+  otlp: config => new OtlpSink(config.otlp),
+  file: config => new FileSink(config.file)
+};
+
+function createSink(config = {}) {
+  const name = config.sink || 'langfuse';
+  const factory = SINKS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown sink "${name}" (expected one of: ${Object.keys(SINKS).join(', ')})`);
+  }
+
+  return factory(config);
+}
+
+module.exports = { createSink, SINKS };
@@ -0,0 +1,122 @@
+/**
+ * Claude Langfuse Monitor - Langfuse Sink
+ *
+ * Sends events to the Langfuse ingestion API, which accepts them as-is.
+ */
+
+const { LangfuseClient } = require('@langfuse/client');
+
+const CHECK_TIMEOUT_SECONDS = 10;
+
+class LangfuseSink {
+  constructor(config = {}) {
+    this.name = 'langfuse';
+    this.destination = config.host;
+    this.config = config;
+    this.langfuse = null;
+  }
+
+  // Built on first use, so dry runs need no credentials
+  get client() {
+    if (!this.langfuse) {
+      this.langfuse = new LangfuseClient({
+        publicKey: this.config.publicKey,
+        secretKey: this.config.secretKey,
+        baseUrl: this.config.host
+      });
+    }
+    return this.langfuse;
+  }
+
+  /**
+   * Authenticated round trip for `status`: the health endpoint for
+   * reachability and server version, then the project the keys belong to.
+   */
+  async check() {
+    const options = { timeoutInSeconds: CHECK_TIMEOUT_SECONDS, maxRetries: 0 };
+    const started = Date.now();
+
+    let health;
+    try {
+      health = await this.client.api.health.health(options);
+    } catch (error) {
+      return {
+        ok: false,
+        error: `Cannot reach Langfuse at ${this.destination}: ${error.message}`,
+        hint: 'Check that Langfuse is running, or set the host: claude-langfuse config --host <url>'
+      };
+    }
+    const latencyMs = Date.now() - started;
+    const version = health && health.version;
+
+    let projects;
+    try {
+      projects = await this.client.api.projects.get(options);
+    } catch (error) {
+      const rejected = error.statusCode === 401 || error.statusCode === 403;
+      return {
+        ok: false,
+        latencyMs,
+        version,
+        error: rejected
+          ? `Langfuse rejected the API keys (HTTP ${error.statusCode})`
+          : `Could not verify the API keys: ${error.message}`,
+        hint: rejected
+          ? 'Copy the keys from Settings → API Keys in Langfuse and run: claude-langfuse config --public-key <key> --secret-key <key>'
+          : undefined
+      };
+    }
+
+    const project = projects && projects.data && projects.data[0];
+    return { ok: true, latencyMs, version, project: project && project.name };
+  }
+
+  /**
+   * Fetch a trace by id, for `doctor` to confirm a test trace was
+   * ingested. Rejects while the trace is not yet (or never) stored.
+   */
+  readTrace(traceId) {
+    return this.client.api.trace.get(traceId, { timeoutInSeconds: CHECK_TIMEOUT_SECONDS, maxRetries: 0 });
+  }
+
+  deleteTrace(traceId) {
+    return this.client.api.trace.delete(traceId, { timeoutInSeconds: CHECK_TIMEOUT_SECONDS, maxRetries: 0 });
+  }
+
+  /**
+   * The request body `send` posts for these events.
+   */
+  payload(events) {
+    return { batch: events };
+  }
+
+  /**
+   * Send one ingestion batch. Resolves with the events Langfuse did not
+   * accept - all of them when the request fails, or the items reported in
+   * the 207 response's `errors` - and the reason.
+   */
+  async send(events) {
+    try {
+      const response = await this.client.api.ingestion.batch({ batch: events });
+      const errors = (response && response.errors) || [];
+
+      if (errors.length === 0) {
+        return { failed: [] };
+      }
+
+      const failedIds = new Set(errors.map(item => item.id));
+      const details = errors
+        .map(item => `${item.id} (${item.status}${item.message ? `: ${item.message}` : ''})`)
+        .join(', ');
+
+      return {
+        failed: events.filter(event => failedIds.has(event.id)),
+        error: new Error(`${errors.length} of ${events.length} events rejected: ${details}`)
+      };
+    } catch (error) {
+      return { failed: events, error };
+    }
+  }
+}
+
+module.exports = { LangfuseSink };
@@ -0,0 +1,348 @@
+/**
+ * Claude Langfuse Monitor - OTLP Sink
+ *
+ * Exports the monitor's ingestion events as OpenTelemetry spans over
+ * OTLP/HTTP with JSON encoding, using the GenAI semantic conventions. Each
+ * turn becomes a trace whose root span is the prompt; generations, tool
+ * calls and subagents become its child spans.
+ *
+ * Exported spans cannot be changed, so an observation updated after it was
+ * sent (later blocks of a response, a subagent finishing) is exported again
+ * under the same span id with the merged fields.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { version } = require('../../package.json');
+
+const DEFAULT_ENDPOINT = 'http://localhost:4318';
+const DEFAULT_SERVICE_NAME = 'claude-code';
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+// Observations kept to merge updates into; older ones are forgotten
+const MAX_REMEMBERED = 1000;
+
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_CODE_ERROR = 2;
+
+// Langfuse ids are UUIDs or tool call ids; OTel wants fixed-length hex
+function toTraceId(id) {
+  return crypto.createHash('md5').update(String(id)).digest('hex');
+}
+
+function toSpanId(id) {
+  return toTraceId(id).slice(0, 16);
+}
+
+function toUnixNano(timestamp) {
+  const ms = Date.parse(timestamp);
+  return (BigInt(Number.isNaN(ms) ? Date.now() : ms) * 1000000n).toString();
+}
+
+function asText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function toAnyValue(value) {
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toAnyValue) } };
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (Number.isInteger(value)) {
+    return { intValue: String(value) };
+  }
+  if (typeof value === 'number') {
+    return { doubleValue: value };
+  }
+  return { stringValue: asText(value) };
+}
+
+/**
+ * OTLP key/value list, skipping attributes without a value.
+ */
+function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toMessages(role, content) {
+  if (content === undefined || content === null || content === '') {
+    return undefined;
+  }
+  return JSON.stringify([{ role, parts: [{ type: 'text', content: asText(content) }] }]);
+}
+
+/**
+ * OTel span for a trace-create body: the prompt that starts a turn.
+ */
+function turnSpan(body) {
+  const metadata = body.metadata || {};
+
+  return {
+    traceId: toTraceId(body.id),
+    spanId: toSpanId(body.id),
+    name: 'invoke_agent claude_code',
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: toUnixNano(body.timestamp),
+    endTimeUnixNano: toUnixNano(body.timestamp),
+    attributes: toAttributes({
+      'gen_ai.operation.name': 'invoke_agent',
+      'gen_ai.provider.name': 'anthropic',
+      'gen_ai.agent.name': 'claude_code',
+      'gen_ai.conversation.id': body.sessionId,
+      'gen_ai.input.messages': toMessages('user', body.input),
+      'user.id': body.userId,
+      'claude_code.project': metadata.project,
+      'claude_code.conversation_id': metadata.conversationId,
+      'claude_code.git_branch': metadata.gitBranch,
+      'claude_code.tags': body.tags
+    })
+  };
+}
+
+/**
+ * OTel span for a generation or span body, nested under its parent
+ * observation or else the turn's root span.
+ */
+function observationSpan(body, kind) {
+  const metadata = body.metadata || {};
+  const span = {
+    traceId: toTraceId(body.traceId),
+    spanId: toSpanId(body.id),
+    parentSpanId: toSpanId(body.parentObservationId || body.traceId),
+    startTimeUnixNano: toUnixNano(body.startTime),
+    endTimeUnixNano: toUnixNano(body.endTime || body.startTime)
+  };
+  const common = {
+    'gen_ai.provider.name': 'anthropic',
+    'gen_ai.conversation.id': metadata.conversationId,
+    'claude_code.project': metadata.project
+  };
+
+  if (kind === 'generation') {
+    const usage = body.usageDetails || {};
+    const cost = body.costDetails || {};
+
+    span.name = `chat ${body.model || 'claude'}`;
+    span.kind = SPAN_KIND_CLIENT;
+    span.attributes = toAttributes({
+      'gen_ai.operation.name': 'chat',
+      ...common,
+      'gen_ai.request.model': body.model,
+      'gen_ai.response.model': body.model,
+      'gen_ai.response.id': metadata.messageId,
+      'gen_ai.usage.input_tokens': usage.input,
+      'gen_ai.usage.output_tokens': usage.output,
+      'gen_ai.usage.cache_creation.input_tokens': usage.cache_creation_input_tokens,
+      'gen_ai.usage.cache_read.input_tokens': usage.cache_read_input_tokens,
+      'gen_ai.output.messages': toMessages('assistant', body.output),
+      'claude_code.request_id': metadata.requestId,
+      'claude_code.cost_usd': cost.total
+    });
+    if (body.completionStartTime) {
+      span.events = [{ name: 'gen_ai.first_block', timeUnixNano: toUnixNano(body.completionStartTime) }];
+    }
+  } else if (body.type === 'agent') {
+    span.name = `invoke_agent ${metadata.subagentType || 'subagent'}`;
+    span.kind = SPAN_KIND_INTERNAL;
+    span.attributes = toAttributes({
+      'gen_ai.operation.name': 'invoke_agent',
+      ...common,
+      'gen_ai.agent.name': metadata.subagentType,
+      'gen_ai.agent.id': metadata.agentId,
+      'gen_ai.agent.description': metadata.description,
+      'gen_ai.input.messages': toMessages('user', body.input),
+      'gen_ai.output.messages': toMessages('assistant', body.output)
+    });
+  } else {
+    span.name = `execute_tool ${body.name}`;
+    span.kind = SPAN_KIND_INTERNAL;
+    span.attributes = toAttributes({
+      'gen_ai.operation.name': 'execute_tool',
+      ...common,
+      'gen_ai.tool.name': body.name,
+      'gen_ai.tool.call.id': body.id,
+      'gen_ai.tool.call.arguments': body.input,
+      'gen_ai.tool.call.result': body.output
+    });
+    if (body.is_error) {
+      span.status = { code: STATUS_CODE_ERROR, message: asText(body.output) };
+    }
+  }
+
+  return span;
+}
+
+/**
+ * `k1=v1,k2=v2`, the format of OTEL_EXPORTER_OTLP_HEADERS.
+ */
+function parseHeaders(value) {
+  const headers = {};
+  for (const pair of (value || '').split(',')) {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  }
+  return headers;
+}
+
+function tracesUrl(endpoint) {
+  const base = endpoint.replace(/\/+$/, '');
+  return base.endsWith('/v1/traces') ? base : `${base}/v1/traces`;
+}
+
+function post(url, payload, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const data = JSON.stringify(payload);
+
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data)
+      },
+      timeout: timeoutMs
+    }, response => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, body }));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`OTLP export timed out after ${timeoutMs}ms`)));
+    request.on('error', reject);
+    request.end(data);
+  });
+}
+
+class OtlpSink {
+  constructor(options = {}) {
+    this.name = 'otlp';
+    this.destination = tracesUrl(options.endpoint || process.env.OTEL_EXPORTER_OTLP_ENDPOINT || DEFAULT_ENDPOINT);
+    this.headers = { ...parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS), ...(options.headers || {}) };
+    this.serviceName = options.serviceName || process.env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.observations = new Map();
+  }
+
+  remember(id, entry) {
+    this.observations.delete(id);
+    this.observations.set(id, entry);
+    if (this.observations.size > MAX_REMEMBERED) {
+      this.observations.delete(this.observations.keys().next().value);
+    }
+  }
+
+  /**
+   * Spans for a batch of ingestion events. Updates are merged into the
+   * observation they change; updates to forgotten observations are dropped.
+   */
+  toSpans(events) {
+    const spans = [];
+
+    for (const event of events) {
+      const [kind, action] = event.type.split('-');
+      const body = event.body || {};
+
+      if (kind === 'trace') {
+        spans.push(turnSpan(body));
+        continue;
+      }
+
+      let merged = body;
+      if (action === 'update') {
+        const previous = this.observations.get(body.id);
+        if (!previous) {
+          continue;
+        }
+        merged = { ...previous, ...body, metadata: { ...previous.metadata, ...body.metadata } };
+      }
+
+      this.remember(body.id, merged);
+      spans.push(observationSpan(merged, kind));
+    }
+
+    return spans;
+  }
+
+  toPayload(spans) {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: toAttributes({ 'service.name': this.serviceName })
+        },
+        scopeSpans: [{
+          scope: { name: 'claude-langfuse-monitor', version },
+          spans
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Post an empty batch for `status`, which a collector accepts without
+   * recording anything.
+   */
+  async check() {
+    const started = Date.now();
+
+    try {
+      const { status, body } = await post(this.destination, this.toPayload([]), this.headers, this.timeoutMs);
+      if (status >= 200 && status < 300) {
+        return { ok: true, latencyMs: Date.now() - started };
+      }
+      return {
+        ok: false,
+        error: `Collector at ${this.destination} answered HTTP ${status}: ${body.slice(0, 200)}`,
+        hint: status === 401 || status === 403
+          ? 'Check the auth headers in otlp.headers or OTEL_EXPORTER_OTLP_HEADERS'
+          : undefined
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        error: `Cannot reach the collector at ${this.destination}: ${error.message}`,
+        hint: 'Check otlp.endpoint in config.json or OTEL_EXPORTER_OTLP_ENDPOINT'
+      };
+    }
+  }
+
+  /**
+   * The request body `send` posts for these events.
+   */
+  payload(events) {
+    return this.toPayload(this.toSpans(events));
+  }
+
+  /**
+   * Export a batch. The collector accepts or rejects it as a whole, so on
+   * failure every event is returned for spooling.
+   */
+  async send(events) {
+    const spans = this.toSpans(events);
+    if (spans.length === 0) {
+      return { failed: [] };
+    }
+
+    try {
+      const { status, body } = await post(this.destination, this.toPayload(spans), this.headers, this.timeoutMs);
+      if (status >= 200 && status < 300) {
+        return { failed: [] };
+      }
+      return { failed: events, error: new Error(`OTLP export failed with HTTP ${status}: ${body.slice(0, 200)}`) };
+    } catch (error) {
+      return { failed: events, error };
+    }
+  }
+}
+
+module.exports = { OtlpSink, toTraceId, toSpanId, parseHeaders };
@@ -0,0 +1,123 @@
+/**
+ * Claude Langfuse Monitor - Spool
+ *
+ * Durable on-disk queue for ingestion batches Langfuse did not accept.
+ * Each failed batch becomes one JSON file that is retried with
+ * exponential backoff until it is sent or purged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+function getSpoolDir() {
+  return path.join(os.homedir(), '.claude-langfuse', 'spool');
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures:
+ * 30s, 1m, 2m, 4m ... capped at one hour.
+ */
+function backoffDelay(attempts) {
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+class Spool {
+  constructor(dir = getSpoolDir()) {
+    this.dir = dir;
+  }
+
+  /**
+   * Save a failed batch. `profile` names the config profile it was routed
+   * to; batches for the top-level destination have none.
+   */
+  write(events, error, profile) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const now = Date.now();
+    const entry = {
+      file: path.join(this.dir, `${now}-${crypto.randomUUID().slice(0, 8)}.json`),
+      createdAt: new Date(now).toISOString(),
+      attempts: 1,
+      nextAttemptAt: new Date(now + backoffDelay(1)).toISOString(),
+      lastError: error ? error.message : undefined,
+      profile,
+      events
+    };
+
+    this.save(entry);
+    return entry;
+  }
+
+  save(entry) {
+    const { file, ...data } = entry;
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data));
+    fs.renameSync(tmpFile, file);
+  }
+
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => {
+        const file = path.join(this.dir, name);
+        try {
+          return { file, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        } catch (error) {
+          // Unreadable entries are left on disk for `spool purge`
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Entries whose backoff has elapsed. Entries that exhausted MAX_ATTEMPTS
+   * are kept on disk but only retried on demand.
+   */
+  due(now = Date.now()) {
+    return this.list().filter(entry => {
+      return entry.attempts < MAX_ATTEMPTS && Date.parse(entry.nextAttemptAt) <= now;
+    });
+  }
+
+  markFailed(entry, error, events = entry.events) {
+    entry.attempts++;
+    entry.nextAttemptAt = new Date(Date.now() + backoffDelay(entry.attempts)).toISOString();
+    entry.lastError = error ? error.message : undefined;
+    entry.events = events;
+    this.save(entry);
+  }
+
+  remove(entry) {
+    if (fs.existsSync(entry.file)) {
+      fs.unlinkSync(entry.file);
+    }
+  }
+
+  purge() {
+    if (!fs.existsSync(this.dir)) {
+      return 0;
+    }
+
+    const names = fs.readdirSync(this.dir);
+    for (const name of names) {
+      fs.unlinkSync(path.join(this.dir, name));
+    }
+    return names.filter(name => name.endsWith('.json')).length;
+  }
+}
+
+module.exports = { Spool, getSpoolDir, backoffDelay, MAX_ATTEMPTS };
@@ -0,0 +1,147 @@
+/**
+ * Claude Langfuse Monitor - State Store
+ *
+ * Persists per-transcript read offsets under ~/.claude-langfuse so the
+ * monitor only tails appended bytes and resumes where it stopped after
+ * a crash, reboot or upgrade.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const STATE_VERSION = 1;
+
+function getStatePath() {
+  return path.join(os.homedir(), '.claude-langfuse', 'state.json');
+}
+
+class StateStore {
+  constructor(filepath = getStatePath()) {
+    this.filepath = filepath;
+    this.files = {};
+    this.loadError = null;
+    // What the state file holds now, and as written
+    this.saved = {};
+    this.written = null;
+    // Files whose events could be neither sent nor spooled, with the state
+    // saved before them
+    this.held = new Map();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filepath)) {
+      return this;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filepath, 'utf8'));
+      if (data && data.version === STATE_VERSION && data.files) {
+        this.files = data.files;
+        this.saved = JSON.parse(JSON.stringify(data.files));
+        this.written = this.serialize(data.files);
+      }
+    } catch (error) {
+      // A corrupt state file is discarded; transcripts are re-read from the start
+      this.files = {};
+      this.loadError = error;
+    }
+
+    return this;
+  }
+
+  get(filepath) {
+    return this.files[filepath];
+  }
+
+  update(filepath, fields) {
+    this.files[filepath] = {
+      ...this.files[filepath],
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Forget a transcript, including any state held for it.
+   */
+  delete(filepath) {
+    delete this.files[filepath];
+    this.held.delete(filepath);
+  }
+
+  /**
+   * Forget the transcripts among `filepaths`, all tracked ones by default,
+   * that no longer exist. Returns how many were forgotten.
+   */
+  prune(filepaths = Object.keys(this.files)) {
+    let pruned = 0;
+    for (const filepath of filepaths) {
+      if ((this.files[filepath] || this.held.has(filepath)) && !fs.existsSync(filepath)) {
+        this.delete(filepath);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Copy of the current offsets, taken when events are handed to Langfuse
+   * so that only offsets whose events were actually sent get persisted.
+   */
+  snapshot() {
+    return JSON.parse(JSON.stringify(this.files));
+  }
+
+  /**
+   * Keep saving the state last saved for `filepaths` while this process
+   * runs, so their lost events are read again after a restart. Events
+   * already read are not read again before then.
+   */
+  hold(filepaths) {
+    for (const filepath of filepaths) {
+      if (!this.held.has(filepath)) {
+        this.held.set(filepath, this.saved[filepath] || null);
+      }
+    }
+  }
+
+  serialize(files) {
+    return JSON.stringify({ version: STATE_VERSION, files }, null, 2);
+  }
+
+  /**
+   * Write `files` to the state file, unless it already holds them.
+   * Returns whether it was written.
+   */
+  save(files = this.files) {
+    files = { ...files };
+    for (const [filepath, state] of this.held) {
+      if (state) {
+        files[filepath] = state;
+      } else {
+        delete files[filepath];
+      }
+    }
+
+    const data = this.serialize(files);
+    if (data === this.written) {
+      return false;
+    }
+
+    const dir = path.dirname(this.filepath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Write then rename so a crash mid-write never leaves a truncated file
+    const tmpFile = `${this.filepath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, data);
+    fs.renameSync(tmpFile, this.filepath);
+    this.saved = JSON.parse(data).files;
+    this.written = data;
+    return true;
+  }
+}
+
+module.exports = { StateStore, getStatePath };
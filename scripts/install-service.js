@@ -13,12 +13,51 @@ const os = require('os');
 const { execSync } = require('child_process');
 const chalk = require('chalk');
 
-const PLIST_NAME = 'co.oboyle.claude-langfuse-monitor.plist';
+const LABEL = 'co.oboyle.claude-langfuse-monitor';
+const PLIST_NAME = `${LABEL}.plist`;
+const UNIT_NAME = 'claude-langfuse-monitor.service';
+
+// Variables the environment file captures, with the config.json keys any
+// of which makes them redundant. The service environment overrides
+// config.json, so a captured variable would shadow those keys
+const ENV_FILE_VARS = {
+  LANGFUSE_BASE_URL: ['host'],
+  LANGFUSE_HOST: ['host'],
+  LANGFUSE_PUBLIC_KEY: ['publicKey'],
+  LANGFUSE_SECRET_KEY: ['secretKey', 'secretKeyFile', 'secretKeyCommand'],
+  CLAUDE_LANGFUSE_LOG_LEVEL: ['log.level'],
+  CLAUDE_LANGFUSE_LOG_FORMAT: ['log.format']
+};
 
 function getPlistPath() {
   return path.join(os.homedir(), 'Library', 'LaunchAgents', PLIST_NAME);
 }
 
+function getUnitPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'systemd', 'user', UNIT_NAME);
+}
+
+function getEnvFilePath() {
+  return path.join(os.homedir(), '.claude-langfuse', 'service.env');
+}
+
+/**
+ * Where launchd writes the service's stdout and stderr.
+ */
+function getMacLogFiles() {
+  const logDir = path.join(os.homedir(), 'Library', 'Logs');
+  return [
+    path.join(logDir, 'claude-langfuse-monitor.log'),
+    path.join(logDir, 'claude-langfuse-monitor-error.log')
+  ];
+}
+
+function getLinuxLogDir() {
+  const stateHome = process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state');
+  return path.join(stateHome, 'claude-langfuse-monitor');
+}
+
 function getNodePath() {
   try {
     return execSync('which node').toString().trim();
@@ -44,12 +83,46 @@ function getConfigPath() {
   return path.join(os.homedir(), '.claude-langfuse', 'config.json');
 }
 
+/**
+ * config.json, or an empty object when it is missing or unreadable - the
+ * monitor reports a broken file when it starts.
+ */
+function readConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(getConfigPath(), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * The config.json key that makes environment variable `name` redundant,
+ * or undefined.
+ */
+function configKeyFor(name, config) {
+  return ENV_FILE_VARS[name].find(key => {
+    const value = key.split('.').reduce((section, part) => (section ? section[part] : undefined), config);
+    return value !== undefined && value !== '';
+  });
+}
+
+/**
+ * Variables set in an environment file that shadow a config.json key, as
+ * `[name, key]` pairs.
+ */
+function findShadowedKeys(envText, config) {
+  return envText.split('\n')
+    .map(line => line.match(/^\s*([A-Z_]+)=/))
+    .filter(match => match && ENV_FILE_VARS[match[1]])
+    .map(match => [match[1], configKeyFor(match[1], config)])
+    .filter(([, key]) => key);
+}
+
 function createPlist() {
   const nodePath = getNodePath();
   const scriptPath = getScriptPath();
-  const logDir = path.join(os.homedir(), 'Library', 'Logs');
-  const logFile = path.join(logDir, 'claude-langfuse-monitor.log');
-  const errorLogFile = path.join(logDir, 'claude-langfuse-monitor-error.log');
+  const [logFile, errorLogFile] = getMacLogFiles();
+  const logDir = path.dirname(logFile);
 
   // Ensure log directory exists
   if (!fs.existsSync(logDir)) {
@@ -79,7 +152,7 @@ function createPlist() {
     </dict>
 
     <key>StandardOutPath</key>
-    <string>${logFile}</string>
+    <string>${errorLogFile}</string>
 
     <key>StandardErrorPath</key>
     <string>${errorLogFile}</string>
@@ -88,6 +161,8 @@ function createPlist() {
     <dict>
         <key>PATH</key>
         <string>/usr/local/bin:/usr/bin:/bin</string>
+        <key>CLAUDE_LANGFUSE_LOG_FILE</key>
+        <string>${logFile}</string>
     </dict>
 
     <key>WorkingDirectory</key>
@@ -101,25 +176,161 @@ function createPlist() {
   return plist;
 }
 
-async function install() {
+/**
+ * Build a systemd --user unit. Logs go to journald by default. With a
+ * `logTarget` of 'file' the monitor writes and rotates its own log, and
+ * only output from outside it is appended to the error log.
+ */
+function createUnit(options = {}) {
+  const nodePath = getNodePath();
+  const scriptPath = getScriptPath();
+  const logTarget = options.logTarget || 'journal';
+
+  let logging = 'StandardOutput=journal\nStandardError=journal\nSyslogIdentifier=claude-langfuse-monitor';
+  if (logTarget === 'file') {
+    const logDir = getLinuxLogDir();
+    const errorLogFile = path.join(logDir, 'claude-langfuse-monitor-error.log');
+    logging = `Environment=CLAUDE_LANGFUSE_LOG_FILE=${path.join(logDir, 'claude-langfuse-monitor.log')}
+StandardOutput=append:${errorLogFile}
+StandardError=append:${errorLogFile}`;
+  }
+
+  return `[Unit]
+Description=Claude Langfuse Monitor - automatic Langfuse tracking for Claude Code
+
+[Service]
+Type=simple
+ExecStart="${nodePath}" "${scriptPath}"
+WorkingDirectory=${os.homedir()}
+Environment=PATH=/usr/local/bin:/usr/bin:/bin
+EnvironmentFile=-${getEnvFilePath()}
+Restart=on-failure
+RestartSec=60
+${logging}
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+/**
+ * Environment file read by the unit. Credentials exported in the installing
+ * shell are captured so the service can run without a config file, except
+ * those config.json already sets: they would override it.
+ */
+function createEnvFile(config = readConfig()) {
+  const lines = ['# Environment for the claude-langfuse-monitor systemd service'];
+
+  for (const name of Object.keys(ENV_FILE_VARS)) {
+    const key = configKeyFor(name, config);
+    if (key) {
+      lines.push(`# ${name}= (config.json sets ${key}; set here, it would override it)`);
+    } else {
+      lines.push(process.env[name] ? `${name}=${process.env[name]}` : `# ${name}=`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function hasEnvCredentials() {
+  return Boolean(process.env.LANGFUSE_PUBLIC_KEY && process.env.LANGFUSE_SECRET_KEY);
+}
+
+async function install(options = {}) {
   console.log(chalk.cyan('🔧 Installing Claude Langfuse Monitor as System Service'));
   console.log(chalk.cyan('='.repeat(60)));
 
   // Check platform
-  if (os.platform() !== 'darwin') {
-    console.log(chalk.yellow('⚠️  Currently only macOS (launchd) is supported'));
-    console.log(chalk.gray('   Linux systemd support coming soon'));
+  const platform = os.platform();
+  if (platform !== 'darwin' && platform !== 'linux') {
+    console.log(chalk.yellow(`⚠️  Unsupported platform: ${platform}`));
+    console.log(chalk.gray('   Supported: macOS (launchd) and Linux (systemd)'));
     return;
   }
 
   // Check configuration
   const configPath = getConfigPath();
-  if (!fs.existsSync(configPath)) {
+  if (!fs.existsSync(configPath) && !(platform === 'linux' && hasEnvCredentials())) {
     console.log(chalk.red('❌ Configuration not found'));
     console.log(chalk.yellow('   Run: claude-langfuse config --public-key <key> --secret-key <key>'));
     return;
   }
 
+  if (platform === 'linux') {
+    return installSystemd(options);
+  }
+
+  return installLaunchd();
+}
+
+async function installSystemd(options) {
+  const logTarget = options.logTarget || 'journal';
+  if (!['journal', 'file'].includes(logTarget)) {
+    console.log(chalk.red(`❌ Unknown log target: ${logTarget} (expected journal or file)`));
+    return;
+  }
+
+  const unitPath = getUnitPath();
+  fs.mkdirSync(path.dirname(unitPath), { recursive: true });
+
+  if (logTarget === 'file') {
+    fs.mkdirSync(getLinuxLogDir(), { recursive: true });
+  }
+
+  // Keep an existing environment file - it may hold hand-edited credentials
+  const config = readConfig();
+  const envFile = getEnvFilePath();
+  if (!fs.existsSync(envFile)) {
+    fs.mkdirSync(path.dirname(envFile), { recursive: true });
+    fs.writeFileSync(envFile, createEnvFile(config), { mode: 0o600 });
+    console.log(chalk.green('✅ Environment file created'));
+    console.log(chalk.gray(`   ${envFile}`));
+
+    for (const name of Object.keys(ENV_FILE_VARS).filter(name => process.env[name])) {
+      const key = configKeyFor(name, config);
+      if (key) {
+        console.log(chalk.gray(`   Not captured: ${name} - config.json sets ${key}`));
+      }
+    }
+  } else {
+    for (const [name, key] of findShadowedKeys(fs.readFileSync(envFile, 'utf8'), config)) {
+      console.log(chalk.yellow(`⚠️  ${envFile} sets ${name}, which overrides ${key} in config.json`));
+    }
+  }
+
+  fs.writeFileSync(unitPath, createUnit({ logTarget }));
+  console.log(chalk.green('✅ Service configuration created'));
+  console.log(chalk.gray(`   ${unitPath}`));
+
+  // Enable and (re)start the service
+  try {
+    execSync('systemctl --user daemon-reload');
+    execSync(`systemctl --user enable ${UNIT_NAME}`);
+    execSync(`systemctl --user restart ${UNIT_NAME}`);
+    console.log(chalk.green('✅ Service enabled and started'));
+  } catch (error) {
+    console.log(chalk.red('❌ Failed to enable service'));
+    console.log(chalk.gray(`   Error: ${error.message}`));
+    return;
+  }
+
+  const logs = logTarget === 'file'
+    ? `tail -f ${path.join(getLinuxLogDir(), 'claude-langfuse-monitor.log')}`
+    : `journalctl --user -u ${UNIT_NAME} -f`;
+
+  // Show status
+  console.log(chalk.cyan('\n📊 Service Status:'));
+  console.log(chalk.gray('   The monitor will now start automatically on login'));
+  console.log(chalk.gray(`   Keep it running after logout: loginctl enable-linger ${os.userInfo().username}`));
+
+  console.log(chalk.cyan('\n💡 Useful Commands:'));
+  console.log(chalk.gray(`   View logs:    claude-langfuse logs -f (or: ${logs})`));
+  console.log(chalk.gray('   Stop service: claude-langfuse stop'));
+  console.log(chalk.gray(`   Uninstall:    claude-langfuse uninstall-service`));
+}
+
+async function installLaunchd() {
   // Create LaunchAgent directory if needed
   const launchAgentsDir = path.join(os.homedir(), 'Library', 'LaunchAgents');
   if (!fs.existsSync(launchAgentsDir)) {
@@ -151,15 +362,131 @@ async function install() {
   console.log(chalk.gray(`   Logs: ~/Library/Logs/claude-langfuse-monitor.log`));
 
   console.log(chalk.cyan('\n💡 Useful Commands:'));
-  console.log(chalk.gray(`   View logs:    tail -f ~/Library/Logs/claude-langfuse-monitor.log`));
-  console.log(chalk.gray(`   Stop service: launchctl stop co.oboyle.claude-langfuse-monitor`));
+  console.log(chalk.gray('   View logs:    claude-langfuse logs -f'));
+  console.log(chalk.gray('   Stop service: claude-langfuse stop'));
   console.log(chalk.gray(`   Uninstall:    claude-langfuse uninstall-service`));
 }
 
+/**
+ * Whether the service is installed and running, without changing anything.
+ */
+function getServiceStatus() {
+  const platform = os.platform();
+  const isRunning = (command) => {
+    try {
+      execSync(command, { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (platform === 'linux') {
+    const file = getUnitPath();
+    const installed = fs.existsSync(file);
+    return {
+      supported: true,
+      installed,
+      running: installed && isRunning(`systemctl --user is-active --quiet ${UNIT_NAME}`),
+      file
+    };
+  }
+
+  if (platform === 'darwin') {
+    const file = getPlistPath();
+    const installed = fs.existsSync(file);
+    return {
+      supported: true,
+      installed,
+      running: installed && isRunning(`launchctl list ${LABEL}`),
+      file
+    };
+  }
+
+  return { supported: false, installed: false, running: false, file: null };
+}
+
+/**
+ * Stop the installed service until the next login or restart. The
+ * monitor exits 0 on SIGTERM, so neither service manager restarts it.
+ */
+function stopService() {
+  if (os.platform() === 'linux') {
+    execSync(`systemctl --user stop ${UNIT_NAME}`);
+  } else {
+    execSync(`launchctl stop ${LABEL}`);
+  }
+}
+
+/**
+ * Restart the installed service, starting it if it is not running.
+ */
+function restartService() {
+  if (os.platform() === 'linux') {
+    execSync(`systemctl --user restart ${UNIT_NAME}`);
+  } else {
+    execSync(`launchctl kickstart -k gui/${os.userInfo().uid}/${LABEL}`);
+  }
+}
+
+/**
+ * Where the installed service logs: `{ unit }` for journald, otherwise
+ * `{ files }` with its stdout and stderr logs.
+ */
+function getServiceLogs() {
+  if (os.platform() === 'darwin') {
+    return { files: getMacLogFiles() };
+  }
+
+  const unit = fs.readFileSync(getUnitPath(), 'utf8');
+  const files = [...unit.matchAll(/^(?:Environment=CLAUDE_LANGFUSE_LOG_FILE=|Standard(?:Output|Error)=append:)(.+)$/gm)]
+    .map(match => match[1]);
+  return files.length > 0 ? { files: [...new Set(files)] } : { unit: UNIT_NAME };
+}
+
 async function uninstall() {
   console.log(chalk.cyan('🗑️  Uninstalling Claude Langfuse Monitor Service'));
   console.log(chalk.cyan('='.repeat(60)));
 
+  if (os.platform() === 'linux') {
+    return uninstallSystemd();
+  }
+
+  return uninstallLaunchd();
+}
+
+async function uninstallSystemd() {
+  const unitPath = getUnitPath();
+
+  if (!fs.existsSync(unitPath)) {
+    console.log(chalk.yellow('⚠️  Service not installed'));
+    return;
+  }
+
+  // Stop and disable the service
+  try {
+    execSync(`systemctl --user disable --now ${UNIT_NAME}`);
+    console.log(chalk.green('✅ Service stopped'));
+  } catch (error) {
+    console.log(chalk.yellow('⚠️  Service was not running'));
+  }
+
+  // Remove unit file
+  fs.unlinkSync(unitPath);
+  try {
+    execSync('systemctl --user daemon-reload');
+  } catch (error) {
+    // Unit is gone either way; systemd picks it up on next login
+  }
+  console.log(chalk.green('✅ Service removed'));
+
+  console.log(chalk.gray('\n💡 Configuration and logs are preserved'));
+  console.log(chalk.gray('   To remove completely:'));
+  console.log(chalk.gray('   rm -rf ~/.claude-langfuse'));
+  console.log(chalk.gray(`   rm -rf ${getLinuxLogDir()}`));
+}
+
+async function uninstallLaunchd() {
   const plistPath = getPlistPath();
 
   if (!fs.existsSync(plistPath)) {
@@ -185,7 +512,18 @@ async function uninstall() {
   console.log(chalk.gray('   rm ~/Library/Logs/claude-langfuse-monitor*.log'));
 }
 
-module.exports = { install, uninstall };
+module.exports = {
+  install,
+  uninstall,
+  createPlist,
+  createUnit,
+  createEnvFile,
+  getUnitPath,
+  getServiceStatus,
+  stopService,
+  restartService,
+  getServiceLogs
+};
 
 // If run directly
 if (require.main === module) {